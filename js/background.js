@@ -0,0 +1,320 @@
+// Load the libraries and the crawl engine into the service worker's global scope.
+// Ordering is important: the engine relies on everything loaded before it.
+importScripts(
+  "jszip/jszip.js",
+  "utils/utility-functions.js",
+  "utils/archive-store.js",
+  "utils/offscreen-document.js",
+  "utils/fetch-scheduler.js",
+  "utils/url-normalizer.js",
+  "utils/resource-classifier.js",
+  "utils/archive-paths.js",
+  "utils/srcset.js",
+  "utils/crawl-budget.js",
+  "utils/crawl-scope.js",
+  "utils/url-filters.js",
+  "utils/robots.js",
+  "utils/sitemap.js",
+  "utils/landing-page.js",
+  "utils/video-embeds.js",
+  "utils/job-report.js",
+  "scraper.js"
+);
+
+// Name of the port the popup and the progress window use to follow the job
+const JOB_STATUS_PORT = "job-status";
+
+// The state of the current job, sent to every connected popup and progress window
+const jobStatus = {
+  state: "idle",
+  progress: "0%",
+  message: "",
+  startingUrl: "",
+};
+
+// States in which a job holds the download lock
+const ACTIVE_JOB_STATES = ["running", "paused", "cancelling", "saving"];
+
+// Ports of the popup and progress windows that are currently open
+const statusPorts = new Set();
+
+// ID of the download Chrome is saving the archive under
+let archiveDownloadId = null;
+
+/**
+ * Updates the 'flagDownload' in the chrome storage with the given boolean value.
+ * This function acts as a way to set a flag that indicates whether a download operation is ongoing.
+ * @param {boolean} isDownloading - A boolean value indicating the download status.
+ */
+const setDownloadFlag = (isDownloading) => {
+  chrome.storage.sync.set({ downloadFlag: isDownloading });
+};
+
+// A job only lives as long as this service worker, so a freshly started worker has nothing in progress
+setDownloadFlag(false);
+
+/**
+ * Merges the given changes into the job status and sends it to every connected window.
+ *
+ * @param {Object} changes - The fields of the job status that changed.
+ */
+function updateJobStatus(changes) {
+  Object.assign(jobStatus, changes);
+  for (const port of statusPorts) {
+    port.postMessage(jobStatus);
+  }
+}
+
+/**
+ * Starts a new job unless one is already running. The job keeps going after the popup
+ * and the progress window are closed.
+ *
+ * @param {Object} options - The settings chosen in the popup.
+ * @param {Object} checkpoint - The checkpoint of an unfinished job to continue, if any.
+ * @returns {Promise<Object>} - Whether the job was started.
+ */
+async function startJob(options, checkpoint = null) {
+  if (ACTIVE_JOB_STATES.includes(jobStatus.state)) {
+    return { started: false };
+  }
+
+  resetScraperState();
+  configureJob(options);
+
+  // A new job replaces the checkpoint of an unfinished one
+  if (checkpoint) await restoreCrawl(checkpoint);
+  else await deleteCheckpoint();
+
+  // Calling function to set download flag
+  setDownloadFlag(true);
+  updateJobStatus({
+    state: "running",
+    progress: "0%",
+    message: checkpoint ? "Resuming the unfinished download" : "",
+    startingUrl: options.startingUrl,
+  });
+
+  // Keep the service worker alive until the archive has been saved. Without the offscreen document
+  // the job cannot run, so it is given up instead of staying "running" forever
+  try {
+    await sendToOffscreen("keepalive", { enabled: true });
+  } catch (error) {
+    finishJob({ state: "failed", message: error.message });
+    throw error;
+  }
+
+  startScrapingProcess().catch((error) => {
+    console.error("Error in Scraping Process: " + error);
+    finishJob({ state: "failed", message: error.message });
+  });
+
+  return { started: true };
+}
+
+/**
+ * Describes the job that was interrupted before it finished, e.g. by closing the browser.
+ *
+ * @returns {Promise<Object|null>} - The starting URL, the number of saved pages and the time of the
+ * last checkpoint, or null if there is nothing to resume.
+ */
+async function getUnfinishedJob() {
+  if (ACTIVE_JOB_STATES.includes(jobStatus.state)) return null;
+
+  const checkpoint = await loadCheckpoint();
+  if (!checkpoint) return null;
+
+  return {
+    startingUrl: checkpoint.options.startingUrl,
+    pages: checkpoint.jobReport.pages,
+    savedAt: checkpoint.savedAt,
+  };
+}
+
+/**
+ * Continues the job that was interrupted, without downloading the pages and files it already collected.
+ *
+ * @returns {Promise<Object>} - Whether the job was started.
+ */
+async function resumeUnfinishedJob() {
+  if (ACTIVE_JOB_STATES.includes(jobStatus.state)) return { started: false };
+
+  const checkpoint = await loadCheckpoint();
+  if (!checkpoint) return { started: false };
+
+  return startJob(checkpoint.options, checkpoint);
+}
+
+/**
+ * Pauses the running job. Downloads that already started finish, no new ones are started.
+ *
+ * @returns {Object} - Whether the job was paused.
+ */
+function pauseJob() {
+  if (jobStatus.state !== "running") return { done: false };
+
+  pauseFetches(fetchScheduler);
+  updateJobStatus({ state: "paused", message: "Paused" });
+  return { done: true };
+}
+
+/**
+ * Resumes a paused job.
+ *
+ * @returns {Object} - Whether the job was resumed.
+ */
+function resumeJob() {
+  if (jobStatus.state !== "paused") return { done: false };
+
+  resumeFetches(fetchScheduler);
+  updateJobStatus({ state: "running", message: "" });
+  return { done: true };
+}
+
+/**
+ * Cancels the running or paused job. The job finishes once the downloads that already started are done,
+ * either by discarding the collected pages or by saving them.
+ *
+ * @param {Object} options - `saveCollected` keeps the pages collected so far.
+ * @returns {Object} - Whether the job is being cancelled.
+ */
+function cancelJob({ saveCollected = false } = {}) {
+  if (jobStatus.state !== "running" && jobStatus.state !== "paused") return { done: false };
+
+  cancelScrapingProcess(saveCollected);
+  updateJobStatus({
+    state: "cancelling",
+    message: saveCollected ? "Stopping, the pages collected so far are saved" : "Cancelling",
+  });
+  return { done: true };
+}
+
+/**
+ * Ends the current job, releasing the download lock and the keepalive.
+ *
+ * @param {Object} changes - The final fields of the job status.
+ */
+function finishJob(changes) {
+  archiveDownloadId = null;
+  setDownloadFlag(false);
+  updateJobStatus(changes);
+
+  sendToOffscreen("keepalive", { enabled: false }).catch((error) => {
+    console.error(error);
+  });
+}
+
+/**
+ * Hands the finished archive to the downloads API. The service worker cannot create blob URLs,
+ * so the archive is stored in IndexedDB and the offscreen document creates the URL.
+ *
+ * @param {Blob} content - The generated ZIP file.
+ * @param {string} filename - The suggested file name.
+ * @returns {Promise<void>}
+ */
+async function downloadArchive(content, filename) {
+  await saveArchive(content);
+  const { url } = await sendToOffscreen("create-archive-url");
+
+  updateJobStatus({ state: "saving", message: "Saving the ZIP file" });
+  archiveDownloadId = await chrome.downloads.download({
+    url,
+    filename,
+    saveAs: true,
+  });
+}
+
+/**
+ * Releases the stored archive and its blob URL once Chrome is done with them.
+ */
+async function releaseArchive() {
+  try {
+    await sendToOffscreen("revoke-archive-url");
+    await deleteArchive();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+/**
+ * Event listener to track the archive download and finish the job once it is saved or fails.
+ */
+chrome.downloads.onChanged.addListener((downloadDelta) => {
+  if (downloadDelta.id !== archiveDownloadId || !downloadDelta.state) return;
+
+  if (downloadDelta.state.current === "complete") {
+    releaseArchive();
+    deleteCheckpoint().catch((error) => console.error(error));
+    finishJob({ state: "complete", progress: "100%", message: "" });
+  } else if (downloadDelta.state.current === "interrupted") {
+    releaseArchive();
+    finishJob({ state: "failed", message: "The ZIP file was not saved." });
+  }
+});
+
+/**
+ * Event listener for the popup and progress windows, which receive the job status as soon as they
+ * connect and whenever it changes afterwards.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== JOB_STATUS_PORT) return;
+
+  statusPorts.add(port);
+  port.onDisconnect.addListener(() => statusPorts.delete(port));
+  port.postMessage(jobStatus);
+});
+
+/**
+ * Event listener to handle requests from the popup and the offscreen document.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== "background") return false;
+
+  switch (message.type) {
+    case "start-job":
+      startJob(message.data)
+        .then(sendResponse)
+        .catch((error) => {
+          console.error(error);
+          sendResponse({ started: false, error: error.message });
+        });
+      return true;
+    case "get-unfinished-job":
+      getUnfinishedJob()
+        .then(sendResponse)
+        .catch((error) => {
+          console.error(error);
+          sendResponse(null);
+        });
+      return true;
+    case "resume-unfinished-job":
+      resumeUnfinishedJob()
+        .then(sendResponse)
+        .catch((error) => {
+          console.error(error);
+          sendResponse({ started: false, error: error.message });
+        });
+      return true;
+    case "discard-unfinished-job":
+      deleteCheckpoint()
+        .then(() => sendResponse({ done: true }))
+        .catch((error) => {
+          console.error(error);
+          sendResponse({ done: false });
+        });
+      return true;
+    case "pause-job":
+      sendResponse(pauseJob());
+      return false;
+    case "resume-job":
+      sendResponse(resumeJob());
+      return false;
+    case "cancel-job":
+      sendResponse(cancelJob(message.data));
+      return false;
+    case "keepalive":
+      // Receiving the message is enough to reset the service worker's idle timer
+      return false;
+    default:
+      return false;
+  }
+});
@@ -0,0 +1,179 @@
+// Attribute used to tag the elements handed to the service worker so their edits can be applied later
+const REF_ATTRIBUTE = "data-scraper-ref";
+
+// Interval in milliseconds between keepalive messages, below the service worker's 30 second idle timeout
+const KEEPALIVE_INTERVAL = 20000;
+
+// Timer which keeps the service worker alive while a job is running
+let keepaliveTimer = null;
+
+// Blob URL of the archive currently being downloaded
+let archiveUrl = null;
+
+/**
+ * The operations the service worker can request from this document.
+ */
+const offscreenHandlers = {
+  "parse-html": parseHTML,
+  "rewrite-html": rewriteHTML,
+  "create-archive-url": createArchiveUrl,
+  "revoke-archive-url": revokeArchiveUrl,
+  keepalive: setKeepalive,
+};
+
+/**
+ * Event listener to handle requests from the service worker.
+ * Every handler may be asynchronous, so the response is always sent once its promise settles.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== "offscreen") return false;
+
+  const handler = offscreenHandlers[message.type];
+  if (!handler) {
+    sendResponse({ error: `Unknown offscreen operation: ${message.type}` });
+    return false;
+  }
+
+  Promise.resolve()
+    .then(() => handler(message.data))
+    .then((result) => sendResponse(result || {}))
+    .catch((error) => {
+      console.error(error);
+      sendResponse({ error: error.message });
+    });
+
+  // Keep the message channel open for the asynchronous response
+  return true;
+});
+
+/**
+ * Parses an HTML page and collects the elements matching each of the given selectors.
+ *
+ * @param {Object} data - The HTML content and the selectors to run, keyed by name.
+ * @returns {Object} - The tagged HTML, the document title and the matched elements keyed by query name.
+ */
+function parseHTML({ html, queries }) {
+  const parser = new DOMParser();
+  let doc = parser.parseFromString(html, "text/html");
+
+  // Drop tags left over from an earlier pass so the references are unique
+  for (let element of doc.querySelectorAll(`[${REF_ATTRIBUTE}]`)) {
+    element.removeAttribute(REF_ATTRIBUTE);
+  }
+
+  let nextRef = 0;
+  const matches = {};
+
+  for (const [name, selector] of Object.entries(queries)) {
+    matches[name] = Array.from(doc.querySelectorAll(selector)).map((element) => {
+      if (!element.hasAttribute(REF_ATTRIBUTE)) {
+        element.setAttribute(REF_ATTRIBUTE, String(nextRef++));
+      }
+      return describeElement(element);
+    });
+  }
+
+  return {
+    html: doc.documentElement.outerHTML,
+    title: doc.title,
+    matches,
+  };
+}
+
+/**
+ * Converts an element into a plain object which can be sent to the service worker.
+ *
+ * @param {Element} element - The element to describe.
+ * @returns {Object} - The reference, tag name, attributes and text content of the element.
+ */
+function describeElement(element) {
+  const attributes = {};
+  for (let attribute of element.attributes) {
+    if (attribute.name !== REF_ATTRIBUTE) attributes[attribute.name] = attribute.value;
+  }
+
+  return {
+    ref: element.getAttribute(REF_ATTRIBUTE),
+    tag: element.tagName.toLowerCase(),
+    attributes,
+    text: element.textContent,
+  };
+}
+
+/**
+ * Applies the edits collected by the service worker to a page tagged by parseHTML.
+ *
+ * @param {Object} data - The tagged HTML content and the list of edits.
+ * @returns {Object} - The rewritten HTML without any reference tags.
+ */
+function rewriteHTML({ html, edits }) {
+  const parser = new DOMParser();
+  let doc = parser.parseFromString(html, "text/html");
+
+  // Index the tagged elements once instead of searching the document for every edit
+  const elements = new Map();
+  for (let element of doc.querySelectorAll(`[${REF_ATTRIBUTE}]`)) {
+    elements.set(element.getAttribute(REF_ATTRIBUTE), element);
+  }
+
+  for (let edit of edits) {
+    const element = elements.get(edit.ref);
+    if (!element) continue;
+
+    if (edit.attributes) {
+      for (const [name, value] of Object.entries(edit.attributes)) {
+        if (value === null) element.removeAttribute(name);
+        else element.setAttribute(name, value);
+      }
+    }
+
+    if (edit.text !== undefined) element.textContent = edit.text;
+    if (edit.outerHTML !== undefined) element.outerHTML = edit.outerHTML;
+  }
+
+  for (let element of doc.querySelectorAll(`[${REF_ATTRIBUTE}]`)) {
+    element.removeAttribute(REF_ATTRIBUTE);
+  }
+
+  return { html: doc.documentElement.outerHTML };
+}
+
+/**
+ * Creates a blob URL for the archive the service worker stored in IndexedDB.
+ * @returns {Promise<Object>} - The blob URL the downloads API can save.
+ */
+async function createArchiveUrl() {
+  const archive = await loadArchive();
+  if (!archive) throw new Error("There is no archive waiting to be downloaded");
+
+  revokeArchiveUrl();
+  archiveUrl = URL.createObjectURL(archive);
+  return { url: archiveUrl };
+}
+
+/**
+ * Releases the blob URL of the last archive once its download has finished.
+ */
+function revokeArchiveUrl() {
+  if (archiveUrl) URL.revokeObjectURL(archiveUrl);
+  archiveUrl = null;
+}
+
+/**
+ * Starts or stops sending periodic messages to the service worker. Chrome stops an idle
+ * service worker after 30 seconds, which would end a long crawl that waits on slow downloads.
+ *
+ * @param {Object} data - `enabled` is true while a job is running.
+ */
+function setKeepalive({ enabled }) {
+  clearInterval(keepaliveTimer);
+  keepaliveTimer = null;
+
+  if (enabled) {
+    keepaliveTimer = setInterval(() => {
+      chrome.runtime
+        .sendMessage({ target: "background", type: "keepalive" })
+        .catch(() => {});
+    }, KEEPALIVE_INTERVAL);
+  }
+}
@@ -1,16 +1,49 @@
-// Initialize a BroadcastChannel named 'scraper_data' to facilitate message communication.
-const broadcastChannel = new BroadcastChannel("scraper_data");
-
 // Declare a variable to hold the URL of the current page.
 let currentPage;
 
 // Get the DOM elements to attach the event listeners.
 const submitButton = document.getElementById("submit-button");
+const unfinishedJobSection = document.getElementById("unfinished-job-section");
+const unfinishedJobMessage = document.getElementById("unfinished-job-message");
+const resumeUnfinishedJobButton = document.getElementById("resume-unfinished-job-button");
+const discardUnfinishedJobButton = document.getElementById("discard-unfinished-job-button");
 
 // Get the DOM  elements to control persistent saving options
 const focusMode = document.getElementById("focus-mode-toggle");
 const restrictDomain = document.getElementById("restrict-domain-toggle");
+const crawlScopeOptions = document.getElementById("crawl-scope-options");
+const crawlScopeSelect = document.getElementById("crawl-scope-select");
+const scopePathPrefix = document.getElementById("scope-path-prefix-input");
+const includePatterns = document.getElementById("include-patterns-input");
+const excludePatterns = document.getElementById("exclude-patterns-input");
+const respectRobots = document.getElementById("respect-robots-toggle");
+const robotsOptions = document.getElementById("robots-options");
+const robotsUserAgent = document.getElementById("robots-user-agent-input");
+const useSitemap = document.getElementById("use-sitemap-toggle");
+const sitemapOptions = document.getElementById("sitemap-options");
+const sitemapModifiedSince = document.getElementById("sitemap-modified-since-input");
 const depthMode = document.getElementById("choose-depth-input");
+const downloadMultipleUrls = document.getElementById("download-multiple-urls-toggle");
+const multipleUrls = document.getElementById("multiple-urls");
+const maxConcurrentFetches = document.getElementById("max-concurrent-fetches-input");
+const maxFetchesPerHost = document.getElementById("max-fetches-per-host-input");
+const trailingSlash = document.getElementById("trailing-slash-select");
+const stripIndexDocuments = document.getElementById("strip-index-documents-toggle");
+const trackingParams = document.getElementById("tracking-params-input");
+const uncapturedLinks = document.getElementById("uncaptured-links-select");
+const framePlaceholder = document.getElementById("frame-placeholder-input");
+const indexPage = document.getElementById("index-page-select");
+const pageLayout = document.getElementById("page-layout-select");
+const srcsetPolicy = document.getElementById("srcset-policy-select");
+const retries = document.getElementById("retries-input");
+const maxPages = document.getElementById("max-pages-input");
+const maxArchiveMegabytes = document.getElementById("max-archive-megabytes-input");
+const maxFileMegabytes = document.getElementById("max-file-megabytes-input");
+const typeLimits = document.getElementById("type-limits-input");
+const timeoutSeconds = document.getElementById("timeout-input");
+const linkedDocuments = document.getElementById("linked-documents-toggle");
+const documentTypes = document.getElementById("document-types-input");
+const maxDocumentMegabytes = document.getElementById("max-document-megabytes-input");
 
 // This object serves as a container to store the global state.
 const globalState = {
@@ -29,13 +62,50 @@ depthMode.addEventListener("change", (e) => {
 });
 
 focusMode.addEventListener("change", () => {
-  isFocusMode = true;
-  fillOptions();
+  isFocusMode = focusMode.checked;
+  saveOptions();
 });
-restrictDomain.addEventListener("check", () => {
-  isRestrictDomain = true;
-  fillOptions();
+restrictDomain.addEventListener("change", () => {
+  isRestrictDomain = restrictDomain.checked;
+  updateScopeOptions();
+  saveOptions();
+});
+crawlScopeSelect.addEventListener("change", () => {
+  updateScopeOptions();
+  saveOptions();
+});
+scopePathPrefix.addEventListener("change", saveOptions);
+includePatterns.addEventListener("change", saveOptions);
+excludePatterns.addEventListener("change", saveOptions);
+respectRobots.addEventListener("change", () => {
+  updateRobotsOptions();
+  saveOptions();
+});
+robotsUserAgent.addEventListener("change", saveOptions);
+useSitemap.addEventListener("change", () => {
+  updateSitemapOptions();
+  saveOptions();
 });
+sitemapModifiedSince.addEventListener("change", saveOptions);
+maxConcurrentFetches.addEventListener("change", saveOptions);
+maxFetchesPerHost.addEventListener("change", saveOptions);
+trailingSlash.addEventListener("change", saveOptions);
+stripIndexDocuments.addEventListener("change", saveOptions);
+trackingParams.addEventListener("change", saveOptions);
+uncapturedLinks.addEventListener("change", saveOptions);
+framePlaceholder.addEventListener("change", saveOptions);
+indexPage.addEventListener("change", saveOptions);
+pageLayout.addEventListener("change", saveOptions);
+srcsetPolicy.addEventListener("change", saveOptions);
+retries.addEventListener("change", saveOptions);
+maxPages.addEventListener("change", saveOptions);
+maxArchiveMegabytes.addEventListener("change", saveOptions);
+maxFileMegabytes.addEventListener("change", saveOptions);
+typeLimits.addEventListener("change", saveOptions);
+timeoutSeconds.addEventListener("change", saveOptions);
+linkedDocuments.addEventListener("change", saveOptions);
+documentTypes.addEventListener("change", saveOptions);
+maxDocumentMegabytes.addEventListener("change", saveOptions);
 
 /**
  * Set the current page URL as the starting URL.
@@ -46,30 +116,20 @@ chrome.tabs.query({ currentWindow: true, active: true }, (tabs) => {
   currentPage = tabs[0].url;
 });
 
-/**
- * Updates the 'flagDownload' in the chrome storage with the given boolean value.
- * This function acts as a way to set a flag that indicates whether a download operation is ongoing.
- * @param {boolean} isDownloading - A boolean value indicating the download status.
- */
-const setDownloadFlag = (isDownloading) => {
-  chrome.storage.sync.set({ downloadFlag: isDownloading });
-};
-
 // Event listener that triggers when the DOM is fully loaded.
-// It fills the options form, opens a new window, and resets the download flag.
+// It fills the options form and reconnects to a job that may still be running in the background,
+// whose controls are shown while it runs. A job that was interrupted is offered to be resumed.
 document.addEventListener("DOMContentLoaded", () => {
-  setDownloadFlag(false);
   fillOptions();
-  openWindow();
+  bindJobControls();
+  connectToJob(renderJobProgress);
+  showUnfinishedJob();
 });
 
-// Event listener that triggers when the window is about to unload (close).
-// It prevents the unload event and alerts the user with a message.
-document.addEventListener("unload", (event) => {
-  event.preventDefault();
-  alert(
-    "The popup window was closed. Please reopen the extension to get it back."
-  );
+resumeUnfinishedJobButton.addEventListener("click", resumeUnfinishedJob);
+discardUnfinishedJobButton.addEventListener("click", () => {
+  chrome.runtime.sendMessage({ target: "background", type: "discard-unfinished-job" });
+  unfinishedJobSection.hidden = true;
 });
 
 // Adding an event listener to the submit button to initiate the checkDownloadFlag function when clicked.
@@ -84,30 +144,159 @@ function checkDownloadFlag() {
   chrome.storage.sync.get((items) => {
     if (!items.downloadFlag) {
       // The flag is off, indicating that no download is in progress. Proceed to send form data.
-      sendToWindowInstance();
+      sendToBackground();
     } else {
-      // A download is currently in progress. Display a toast notification to inform the user.
-      // Create a new instance of the Bootstrap toast
-      var toast = new bootstrap.Toast($("#toast"));
-      // Display the toast notification
-      toast.show();
+      showBusyToast();
     }
   });
 }
 
 /**
- * Sends a message containing the form data from the extension popup window through the broadcast channel.
- * This function seems to be referencing undefined variables and
- * make sure to define or import all necessary variables before using this function.
+ * Asks the service worker for a job that was interrupted before it finished and offers to resume it.
  */
-function sendToWindowInstance() {
-  // Send the form data as an array through the broadcast channel.
-  broadcastChannel.postMessage([
-    currentPage,
-    isFocusMode,
-    isRestrictDomain,
-    maxDepthValue
-  ]);
+function showUnfinishedJob() {
+  chrome.runtime.sendMessage(
+    { target: "background", type: "get-unfinished-job" },
+    (unfinishedJob) => {
+      if (!unfinishedJob) return;
+
+      const savedAt = new Date(unfinishedJob.savedAt).toLocaleString();
+      unfinishedJobMessage.innerText =
+        `The download of ${unfinishedJob.startingUrl} stopped at ${savedAt} ` +
+        `after ${unfinishedJob.pages} pages.`;
+      unfinishedJobSection.hidden = false;
+    }
+  );
+}
+
+/**
+ * Continues the interrupted job in the background and opens the progress window.
+ */
+function resumeUnfinishedJob() {
+  reconnectToJob();
+  chrome.runtime.sendMessage(
+    { target: "background", type: "resume-unfinished-job" },
+    (response) => {
+      if (response && response.started) {
+        unfinishedJobSection.hidden = true;
+        openWindow();
+      } else {
+        showBusyToast();
+      }
+    }
+  );
+}
+
+/**
+ * Displays a bootstrap toast notification telling the user that a download is already in progress.
+ */
+function showBusyToast() {
+  // Create a new instance of the Bootstrap toast
+  var toast = new bootstrap.Toast($("#toast"));
+  // Display the toast notification
+  toast.show();
+}
+
+/**
+ * Sends the form data from the extension popup to the service worker, which runs the job
+ * in the background, and opens the progress window once the job has started.
+ */
+function sendToBackground() {
+  // Check the URL patterns and the per-type limits before starting, so a typo does not end the job right away
+  try {
+    parseUrlPatterns(includePatterns.value);
+    parseUrlPatterns(excludePatterns.value);
+    parseTypeLimits(typeLimits.value);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  // Use every URL of the list as a seed when "Download Multiple URLs" is on
+  let seeds = [currentPage];
+  if (downloadMultipleUrls.checked) {
+    const { valid, invalid } = parseSeedUrls(multipleUrls.value);
+    if (invalid.length > 0) {
+      alert("These lines are not valid web addresses:\n" + invalid.join("\n"));
+      return;
+    }
+    if (valid.length === 0) {
+      alert("Please enter at least one URL, each on a new line.");
+      return;
+    }
+    seeds = valid;
+  }
+
+  reconnectToJob();
+  chrome.runtime.sendMessage(
+    {
+      target: "background",
+      type: "start-job",
+      data: {
+        startingUrl: seeds[0],
+        seeds,
+        isFocusMode,
+        isRestrictDomain,
+        crawlScope: getCrawlScope(),
+        includePatterns: includePatterns.value,
+        excludePatterns: excludePatterns.value,
+        respectRobots: respectRobots.checked,
+        robotsUserAgent: getRobotsUserAgent(),
+        seedMode: useSitemap.checked ? "sitemap" : "page",
+        sitemapModifiedSince: sitemapModifiedSince.value,
+        maxDepthValue,
+        trailingSlash: trailingSlash.value,
+        stripIndexDocuments: stripIndexDocuments.checked,
+        trackingParams: trackingParams.value,
+        uncapturedLinks: uncapturedLinks.value,
+        framePlaceholder: framePlaceholder.value,
+        indexPage: indexPage.value,
+        pageLayout: pageLayout.value,
+        srcsetPolicy: srcsetPolicy.value,
+        maxConcurrentFetches: maxConcurrentFetches.value,
+        maxFetchesPerHost: maxFetchesPerHost.value,
+        retries: retries.value,
+        timeoutSeconds: timeoutSeconds.value,
+        maxPages: maxPages.value,
+        maxArchiveMegabytes: maxArchiveMegabytes.value,
+        maxFileMegabytes: maxFileMegabytes.value,
+        typeLimits: typeLimits.value,
+        linkedDocuments: linkedDocuments.checked,
+        documentTypes: documentTypes.value,
+        maxDocumentMegabytes: maxDocumentMegabytes.value,
+      },
+    },
+    (response) => {
+      if (response && response.started) openWindow();
+      else showBusyToast();
+    }
+  );
+}
+
+/**
+ * Splits the "Download Multiple URLs" list into web addresses, one per line.
+ *
+ * @param {string} text - The content of the list.
+ * @returns {Object} - The `valid` http(s) URLs without duplicates and the `invalid` lines.
+ */
+function parseSeedUrls(text) {
+  const valid = [];
+  const invalid = [];
+
+  for (let line of text.split("\n")) {
+    line = line.trim();
+    if (!line) continue;
+
+    try {
+      const url = new URL(line);
+      if (url.protocol !== "http:" && url.protocol !== "https:") throw new Error();
+      if (!valid.includes(url.href)) valid.push(url.href);
+    } catch (error) {
+      invalid.push(line);
+    }
+  }
+
+  return { valid, invalid };
 }
 
 /**
@@ -116,63 +305,135 @@ function sendToWindowInstance() {
  */
 function fillOptions() {
   chrome.storage.sync.get((items) => {
-    console.log(items);
-    isFocusMode = items.isFocusMode;
-    isRestrictDomain = items.isRestrictDomain;
+    isFocusMode = Boolean(items.isFocusMode);
+    isRestrictDomain = Boolean(items.isRestrictDomain);
+    focusMode.checked = isFocusMode;
+    restrictDomain.checked = isRestrictDomain;
+
+    if (items.crawlScope) {
+      crawlScopeSelect.value = items.crawlScope.mode;
+      scopePathPrefix.value = items.crawlScope.pathPrefix || "";
+    }
+    includePatterns.value = items.includePatterns || "";
+    excludePatterns.value = items.excludePatterns || "";
+    respectRobots.checked = Boolean(items.respectRobots);
+    robotsUserAgent.value = items.robotsUserAgent || "";
+    updateRobotsOptions();
+    useSitemap.checked = items.seedMode === "sitemap";
+    sitemapModifiedSince.value = items.sitemapModifiedSince || "";
+    updateSitemapOptions();
+    trailingSlash.value = items.trailingSlash || "strip";
+    stripIndexDocuments.checked = items.stripIndexDocuments !== false;
+    trackingParams.value = items.trackingParams || "";
+    uncapturedLinks.value = items.uncapturedLinks || "live";
+    framePlaceholder.value = items.framePlaceholder || "";
+    indexPage.value = items.indexPage || "landing";
+    pageLayout.value = items.pageLayout || "flat";
+    srcsetPolicy.value = items.srcsetPolicy || "all";
+    maxConcurrentFetches.value = items.maxConcurrentFetches || "";
+    maxFetchesPerHost.value = items.maxFetchesPerHost || "";
+    retries.value = items.retries || "";
+    timeoutSeconds.value = items.timeoutSeconds || "";
+    maxPages.value = items.maxPages || "";
+    maxArchiveMegabytes.value = items.maxArchiveMegabytes || "";
+    maxFileMegabytes.value = items.maxFileMegabytes || "";
+    typeLimits.value = items.typeLimits || "";
+    linkedDocuments.checked = items.linkedDocuments !== false;
+    documentTypes.value = items.documentTypes || "";
+    maxDocumentMegabytes.value = items.maxDocumentMegabytes || "";
+    updateScopeOptions();
   });
 }
 
 /**
- * Opens a new popup window to run the scraping script found in window.js. This function also sets up listeners
- * to prevent users from accidentally closing the window and to instruct them on how to reopen it if closed.
+ * Stores the current options in the Chrome storage so they are kept the next time the popup opens.
  */
-function openWindow() {
-  // Define the parameters for the new popup window.
-  let params = `
-    scrollbars=no,
-    resizable=no,
-    status=no,
-    location=no,
-    toolbar=no,
-    menubar=no,
-    width=355,
-    height=275,
-    left=100,
-    top=100,
-    dependent=yes
-  `;
-
-  // Opens a new window and assign the WindowProxy object to popupWindow to execute the scraping code from window.js
-  let popupWindow = window.open(
-    "../html/window.html",
-    "scraper_window",
-    params
-  );
-
-  if (
-    !popupWindow ||
-    popupWindow.closed ||
-    typeof popupWindow.closed == "undefined"
-  ) {
-    // Ask user to allow pop-ups for the specific website
-    alert("Please allow pop-ups for this website in order to download it.");
-  }
+function saveOptions() {
+  chrome.storage.sync.set({
+    isFocusMode,
+    isRestrictDomain,
+    crawlScope: getCrawlScope(),
+    includePatterns: includePatterns.value,
+    excludePatterns: excludePatterns.value,
+    respectRobots: respectRobots.checked,
+    robotsUserAgent: robotsUserAgent.value.trim(),
+    seedMode: useSitemap.checked ? "sitemap" : "page",
+    sitemapModifiedSince: sitemapModifiedSince.value,
+    trailingSlash: trailingSlash.value,
+    stripIndexDocuments: stripIndexDocuments.checked,
+    trackingParams: trackingParams.value,
+    uncapturedLinks: uncapturedLinks.value,
+    framePlaceholder: framePlaceholder.value,
+    indexPage: indexPage.value,
+    pageLayout: pageLayout.value,
+    srcsetPolicy: srcsetPolicy.value,
+    maxConcurrentFetches: maxConcurrentFetches.value,
+    maxFetchesPerHost: maxFetchesPerHost.value,
+    retries: retries.value,
+    timeoutSeconds: timeoutSeconds.value,
+    maxPages: maxPages.value,
+    maxArchiveMegabytes: maxArchiveMegabytes.value,
+    maxFileMegabytes: maxFileMegabytes.value,
+    typeLimits: typeLimits.value,
+    linkedDocuments: linkedDocuments.checked,
+    documentTypes: documentTypes.value,
+    maxDocumentMegabytes: maxDocumentMegabytes.value,
+  });
+}
 
-  // Setup event listeners once the window is loaded.
-  popupWindow.onload = function () {
-    // Adds an event listener to prevent the user from unintentionally closing the window by prompting a confirmation message
-    popupWindow.addEventListener("beforeunload", (event) => {
-      event.preventDefault();
-      event.returnValue =
-        "Are you sure? Closing the progress window will prevent the extension from working.";
-    });
-
-    // Adds an event listener to alert the user with steps to reopen the popup window if they choose to close it
-    popupWindow.addEventListener("unload", (event) => {
-      event.preventDefault();
-      alert(
-        "The progress window  was closed. Please reopen the extension to get it back."
-      );
-    });
+/**
+ * Reads the crawl scope chosen under "Restrict Domain".
+ * @returns {Object} - The scope mode and, for path scopes, the optional path prefix.
+ */
+function getCrawlScope() {
+  return {
+    mode: crawlScopeSelect.value,
+    pathPrefix: scopePathPrefix.value.trim(),
   };
 }
+
+/**
+ * Reads the user-agent token whose robots.txt rules are honored.
+ * @returns {string} - The entered token, or the extension's own token when the field is empty.
+ */
+function getRobotsUserAgent() {
+  return robotsUserAgent.value.trim() || robotsUserAgent.placeholder;
+}
+
+/**
+ * Shows the user-agent field only while "Honor robots.txt" is on.
+ */
+function updateRobotsOptions() {
+  robotsOptions.style.display = respectRobots.checked ? "block" : "none";
+}
+
+/**
+ * Shows the modification date filter only while "Use sitemap" is on.
+ */
+function updateSitemapOptions() {
+  sitemapOptions.style.display = useSitemap.checked ? "block" : "none";
+}
+
+/**
+ * Shows the scope choices only while "Restrict Domain" is on, and the path prefix only for path scopes.
+ */
+function updateScopeOptions() {
+  crawlScopeOptions.style.display = isRestrictDomain ? "block" : "none";
+  scopePathPrefix.style.display =
+    crawlScopeSelect.value === "path" ? "inline-block" : "none";
+}
+
+/**
+ * Opens a window which follows the progress of the job. The job runs in the service worker,
+ * so the window can be closed and reopened from the extension at any time.
+ */
+function openWindow() {
+  chrome.windows.create({
+    url: chrome.runtime.getURL("html/window.html"),
+    type: "popup",
+    width: 355,
+    height: 275,
+    left: 100,
+    top: 100,
+  });
+}
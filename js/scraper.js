@@ -0,0 +1,2119 @@
+// Initial user settings which are set by the service worker when a job starts
+let startingURLInput = "";
+let currentPage = "";
+let isExcludeImages = false;
+let isFocusMode = false;
+let isRestrictDomain = false;
+let maxDepthValue = 0;
+
+// The URLs the crawl starts from, several when "Download Multiple URLs" is used
+let seedUrls = [];
+
+// The scope links have to be in to be crawled, null when "Restrict Domain" is off
+let crawlScope = null;
+
+// Include and exclude patterns links have to pass to be crawled
+let urlFilters = { include: [], exclude: [] };
+
+// The robots.txt rules honored during the crawl, null when robots.txt is ignored
+let robotsPolicy = null;
+
+// Where the crawl starts: "page" for the starting page only, "sitemap" to add the pages of the site's sitemaps
+let seedMode = "page";
+
+// Sitemap entries last modified before this date are left out, null keeps every entry
+let sitemapModifiedSince = null;
+
+// Limits how many downloads run at the same time, in total and per host
+let fetchScheduler = createFetchScheduler();
+
+// Limits for the number of pages and the bytes stored in the archive
+let crawlBudget = createCrawlBudget();
+
+// Files left out because they did not fit the budget, keyed by the canonical form of their URL
+let droppedAssets = new Set();
+
+// Settings of the URL normalizer, whose canonical URLs key the pages and files of the job
+let urlNormalization = createUrlNormalization();
+
+// Retry and timeout settings for every download of the job
+let retryOptions = {};
+
+// Pages which are being processed and count against the page limit once they are stored. Frames are
+// stored before the pages holding them, so the pages claim their place first
+let claimedPages = 0;
+
+// Set once the job is cancelled; `saveCollected` tells whether the pages collected so far are still saved
+let jobCancellation = null;
+
+// The settings the job was started with, stored in its checkpoints
+let jobOptions = null;
+
+// Zip entries which are already stored in the job's checkpoint
+let checkpointedEntries = new WeakSet();
+
+// Crawl queue restored from a checkpoint, used instead of the seeds when the crawl starts
+let resumedQueue = null;
+
+// Summary of the job which is stored as report.json in the archive
+let jobReport = null;
+
+// Lists to keep track of different types of URLs and avoid duplicates
+let urlList = [];
+
+// Path in the archive of every downloaded file, keyed by the canonical form of its URL, shared by all processors
+let assetFiles = new Map();
+
+// Downloads in progress, so a file referenced by several pages at once is only fetched once
+let assetDownloads = new Map();
+
+// Titles of the processed pages, keyed by URL, used for the landing page
+let pageTitles = new Map();
+
+// The stored page each crawled page was collapsed into, both keyed by the canonical form of their URL
+let pageAliases = new Map();
+
+// The stored page for the hash of each main content
+let pageHashes = new Map();
+
+// Path and URL of every page stored in the archive, keyed by the canonical form of the URL it is stored under
+let storedPages = new Map();
+
+// One of UNCAPTURED_LINK_POLICIES
+let uncapturedLinks = "live";
+
+// One of INDEX_PAGE_MODES
+let indexPageMode = "landing";
+
+// One of PAGE_LAYOUTS
+let pageLayout = "flat";
+
+// The linked documents to download, as returned by parseDocumentTypes, or null when they are not downloaded
+let documentTypes = null;
+
+// Which sizes of responsive images are downloaded, one of SRCSET_POLICIES
+let srcsetPolicy = "all";
+
+// The text frames from outside the crawl scope are replaced with
+let framePlaceholder = "";
+
+// Title and thumbnail of the embedded videos, keyed by the address to watch them at
+let videoEmbeds = new Map();
+
+// The page each path was given to, keyed by the lowercased path, as some file systems ignore the letter case
+let reservedPagePaths = new Map();
+
+// What the links which are not crawled turned out to be, keyed by the canonical form of their URL
+let linkClassifications = new Map();
+
+// Keep track of base count for when links are at 0 depth
+let zeroDepthCounter = 0;
+let totalZeroDepthCounter = 0;
+
+// Create a new JSZip instance to hold the zipped contents
+let zip = new JSZip();
+
+// The elements the processors work on, collected in a single pass over each page in the offscreen document
+const PAGE_QUERIES = {
+  images: "img",
+  sources: "picture source[srcset]",
+  stylesheets: 'link[rel="stylesheet"]',
+  styles: "style",
+  scripts: "script[src]",
+  videos: "video[src], video source[src]",
+  posters: "video[poster]",
+  tracks: "video track[src], audio track[src]",
+  audios: "audio[src], audio source[src]",
+  frames: "iframe[src], iframe[srcdoc]",
+  anchors: "a[href]",
+  canonical: 'link[rel~="canonical"][href]',
+  charsets: 'meta[charset], meta[http-equiv="content-type" i]',
+  mainContent: 'main, [role="main"], article',
+  body: "body",
+};
+
+// Attribute which remembers the address of a link until rewriteLinks points it at the captured page
+const LINK_URL_ATTRIBUTE = "data-scraper-href";
+
+// Scope of the frames an unrestricted crawl captures and of the links it probes without following them,
+// which keeps third-party ads and widgets out of the archive
+const SITE_SCOPE = { mode: "domain" };
+
+// Page which links to pages that were not captured can point at
+const OFFLINE_PAGE_PATH = "offline.html";
+
+// What frames from outside the crawl scope show unless the popup gives another text
+const DEFAULT_FRAME_PLACEHOLDER = "This embedded content is not part of the archive.";
+
+// What the index.html of the archive shows: a list of the captured pages, or the start page itself
+const INDEX_PAGE_MODES = ["landing", "redirect"];
+
+// How links to pages that were not captured are treated: kept online, marked as external, or pointed at the offline page
+const UNCAPTURED_LINK_POLICIES = ["live", "external", "offline"];
+
+/**
+ * Sets the maximum depth for our search
+ */
+const setMaxDepth = (newMaxDepthValue) => {
+  maxDepthValue = newMaxDepthValue;
+};
+
+/**
+ * Sets the current page for our search
+ */
+const setCurrentPage = (newCurrentPage) => {
+  currentPage = newCurrentPage;
+};
+
+/**
+ * Applies the settings sent by the popup before a job starts.
+ *
+ * @param {Object} options - The settings chosen in the popup.
+ */
+function configureJob(options) {
+  jobOptions = options;
+
+  urlNormalization = createUrlNormalization({
+    trailingSlash: options.trailingSlash,
+    stripIndexDocuments: options.stripIndexDocuments,
+    trackingParams: options.trackingParams,
+  });
+
+  // Every seed is crawled in the same job, the first one names the archive
+  seedUrls = [];
+  for (const seed of options.seeds && options.seeds.length ? options.seeds : [options.startingUrl]) {
+    if (!seedUrls.some((url) => getUrlKey(url) === getUrlKey(seed))) seedUrls.push(seed);
+  }
+  startingURLInput = seedUrls[0];
+  isFocusMode = options.isFocusMode;
+  isRestrictDomain = options.isRestrictDomain;
+
+  // The depth input delivers a string, while the processors compare against numbers
+  setMaxDepth(Number(options.maxDepthValue) || 0);
+
+  setCurrentPage(startingURLInput);
+
+  // Only restrict the crawl when "Restrict Domain" is on, to the same host unless a scope was chosen
+  crawlScope = isRestrictDomain ? options.crawlScope || { mode: "host" } : null;
+
+  urlFilters = {
+    include: parseUrlPatterns(options.includePatterns),
+    exclude: parseUrlPatterns(options.excludePatterns),
+  };
+
+  uncapturedLinks = UNCAPTURED_LINK_POLICIES.includes(options.uncapturedLinks)
+    ? options.uncapturedLinks
+    : "live";
+
+  indexPageMode = INDEX_PAGE_MODES.includes(options.indexPage) ? options.indexPage : "landing";
+
+  pageLayout = PAGE_LAYOUTS.includes(options.pageLayout) ? options.pageLayout : "flat";
+
+  documentTypes = options.linkedDocuments === false ? null : parseDocumentTypes(options.documentTypes);
+
+  srcsetPolicy = SRCSET_POLICIES.includes(options.srcsetPolicy) ? options.srcsetPolicy : "all";
+
+  framePlaceholder = (options.framePlaceholder || "").trim() || DEFAULT_FRAME_PLACEHOLDER;
+
+  seedMode = options.seedMode === "sitemap" ? "sitemap" : "page";
+  sitemapModifiedSince = options.sitemapModifiedSince
+    ? new Date(options.sitemapModifiedSince)
+    : null;
+  if (sitemapModifiedSince && isNaN(sitemapModifiedSince)) sitemapModifiedSince = null;
+
+  fetchScheduler = createFetchScheduler({
+    maxConcurrent: options.maxConcurrentFetches,
+    maxPerHost: options.maxFetchesPerHost,
+  });
+
+  crawlBudget = createCrawlBudget({
+    maxPages: options.maxPages,
+    maxArchiveMegabytes: options.maxArchiveMegabytes,
+    maxFileMegabytes: options.maxFileMegabytes,
+    typeLimits: options.typeLimits,
+    maxDocumentMegabytes: options.maxDocumentMegabytes,
+  });
+
+  // Every attempt waits for a place in the download scheduler, which it gives up between the attempts
+  retryOptions = {
+    onFailure: recordFetchFailure,
+    schedule: (url, task, startTime) => scheduleFetch(fetchScheduler, url, task, startTime),
+  };
+  if (options.retries !== undefined && options.retries !== "") {
+    retryOptions.retries = Math.max(0, Number(options.retries) || 0);
+  }
+  if (Number(options.timeoutSeconds) > 0) {
+    retryOptions.timeout = Number(options.timeoutSeconds) * 1000;
+  }
+
+  robotsPolicy = options.respectRobots
+    ? createRobotsPolicy(options.robotsUserAgent || "", fetchCrawlResource, fetchScheduler)
+    : null;
+
+  jobReport = createJobReport({
+    startingUrl: startingURLInput,
+    seeds: seedUrls,
+    maxDepth: maxDepthValue,
+    scope: seedUrls.map((seed) => describeScope(seed, crawlScope)),
+    includePatterns: urlFilters.include.map((pattern) => pattern.rule),
+    excludePatterns: urlFilters.exclude.map((pattern) => pattern.rule),
+    robotsUserAgent: robotsPolicy ? robotsPolicy.userAgent : null,
+    seedMode,
+  });
+}
+
+/**
+ * Clears everything collected by the previous job. The service worker outlives a single job,
+ * so the lists would otherwise make the next job skip files it has never stored.
+ */
+function resetScraperState() {
+  urlList = [];
+  assetFiles = new Map();
+  assetDownloads = new Map();
+  pageTitles = new Map();
+  pageAliases = new Map();
+  pageHashes = new Map();
+  storedPages = new Map();
+  reservedPagePaths = new Map();
+  videoEmbeds = new Map();
+  linkClassifications = new Map();
+  droppedAssets = new Set();
+  claimedPages = 0;
+  jobCancellation = null;
+  checkpointedEntries = new WeakSet();
+  resumedQueue = null;
+  zeroDepthCounter = 0;
+  totalZeroDepthCounter = 0;
+  zip = new JSZip();
+}
+
+/**
+ * Returns the canonical form of a URL, under which pages and files are registered and named.
+ *
+ * @param {string} url - The absolute URL.
+ * @returns {string} - The normalized URL.
+ */
+function getUrlKey(url) {
+  return normalizeUrl(url, urlNormalization);
+}
+
+/**
+ * Fetches text content (pages, CSS and JavaScript) through the job's download scheduler.
+ *
+ * @param {string} url - The URL to fetch the data from.
+ * @returns {Promise<string>} - The fetched text, or an empty string if the fetch failed or the job was cancelled.
+ */
+function fetchText(url) {
+  return getData(url, retryOptions);
+}
+
+/**
+ * Fetches a file the crawl reads for itself, like robots.txt and sitemaps, through the job's download scheduler. Its
+ * failures are not recorded in the job report, as the file is not part of the archive.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {Function} readBody - Reads the body of the response, e.g. `(response) => response.text()`.
+ * @returns {Promise<*>} - The body; rejects if the fetch failed or the job was cancelled.
+ */
+function fetchCrawlResource(url, readBody) {
+  const { onFailure, ...options } = retryOptions;
+  return fetchWithRetry(url, readBody, options);
+}
+
+/**
+ * Fetches a crawled URL and tells from the response whether it is a page at all. Links like
+ * download.php?file=3 often lead to documents, images or videos instead.
+ *
+ * @param {string} url - The URL to fetch.
+ * @returns {Promise<Object>} - The `html` of a page, which is null if the fetch failed or the URL is no page,
+ * and for other resources the `resource` returned by classifyResource and the fetched `file`.
+ */
+async function fetchPage(url) {
+  // Links which are not known to be pages may lead to large files, which are left out before they are downloaded
+  if (hasByteLimits(crawlBudget) && guessResourceKind(url) !== "page") {
+    const head = await checkLink(url);
+    if (head.ok) {
+      const resource = classifyResource({
+        url,
+        contentType: head.contentType || "",
+        contentDisposition: head.contentDisposition || "",
+      });
+      const type = resource.kind === "page" ? "html" : getResourceFolder(resource);
+      const rejection = type ? checkFileBudget(crawlBudget, type, head.size) : null;
+      if (rejection) {
+        dropFile(url, type, rejection);
+        return { html: null };
+      }
+    }
+  }
+
+  let file;
+  try {
+    file = await fetchAsset(url, false);
+  } catch (error) {
+    // The failure is recorded in the job report by recordFetchFailure
+    return { html: null };
+  }
+
+  const resource = classifyResource({
+    url,
+    ...file,
+    bytes: new Uint8Array(file.content, 0, Math.min(file.content.byteLength, SNIFF_LENGTH)),
+  });
+  if (resource.kind === "page") return { html: decodeText(file.content, file.contentType) };
+  return { html: null, resource, file };
+}
+
+/**
+ * Stores a crawled URL which turned out not to be a page in the folder of its kind.
+ *
+ * @param {string} url - The URL of the resource.
+ * @param {Object} resource - The classification returned by classifyResource.
+ * @param {Object|null} file - The file returned by fetchAsset, which is not needed for resources without a folder.
+ * @returns {Promise<string|null>} - The path of the file in the archive, or null if it was not stored.
+ */
+async function storeLinkedResource(url, resource, file) {
+  const type = getResourceFolder(resource);
+  if (!type) {
+    const mimeType = resource.mimeType ? ` (${resource.mimeType})` : "";
+    recordSkippedLink(jobReport, url, "type", `Not a page but ${resource.kind}${mimeType}`);
+    return null;
+  }
+
+  // The same file may have been downloaded for an element of another page
+  const key = getUrlKey(url);
+  if (assetFiles.has(key)) return assetFiles.get(key);
+  if (assetDownloads.has(key)) return assetDownloads.get(key);
+
+  const download = chargeFile(url, type, file) ? saveAsset(url, key, type, file) : Promise.resolve(null);
+  assetDownloads.set(key, download);
+  return download;
+}
+
+/**
+ * Fetches a file (stylesheets, scripts, images, videos, PDFs) through the job's download scheduler.
+ *
+ * @param {string} url - The URL to fetch the file from.
+ * @param {boolean} asText - Whether to read the file as text instead of binary content.
+ * @returns {Promise<Object>} - The `content` and `contentType` of the file; rejects if the fetch failed or the job was cancelled.
+ */
+function fetchAsset(url, asText) {
+  return fetchFile(url, asText, retryOptions);
+}
+
+/**
+ * Asks for the headers of a URL through the job's download scheduler, without downloading it.
+ *
+ * @param {string} url - The URL to check.
+ * @returns {Promise<Object>} - The result of checkUrl; `ok` is false if the check failed or the job was cancelled.
+ */
+function checkLink(url) {
+  return scheduleFetch(fetchScheduler, url, () => checkUrl(url)).catch(() => ({
+    ok: false,
+    size: null,
+    contentType: null,
+    contentDisposition: null,
+  }));
+}
+
+/**
+ * Downloads a file unless it does not fit the job's budget. When byte limits are set, the size is
+ * asked for with a HEAD request first, so oversized files are not downloaded at all. Servers do not
+ * always tell the size, so the downloaded file is checked again before it counts against the budget.
+ *
+ * @param {string} url - The URL of the file.
+ * @param {string} type - The type of the file, one of BUDGET_FILE_TYPES.
+ * @param {boolean} asText - Whether to read the file as text instead of binary content.
+ * @returns {Promise<Object|null>} - The file returned by fetchAsset, or null if the file was dropped.
+ */
+async function fetchWithinBudget(url, type, asText) {
+  if (hasByteLimits(crawlBudget)) {
+    let rejection = checkFileBudget(crawlBudget, type, null);
+    if (!rejection) {
+      const { size } = await checkLink(url);
+      rejection = checkFileBudget(crawlBudget, type, size);
+    }
+    if (rejection) return dropFile(url, type, rejection);
+  }
+
+  return chargeFile(url, type, await fetchAsset(url, asText));
+}
+
+/**
+ * Counts a downloaded file against the job's budget, unless it does not fit.
+ *
+ * @param {string} url - The URL of the file.
+ * @param {string} type - The type of the file, one of BUDGET_FILE_TYPES.
+ * @param {Object} file - The file returned by fetchAsset.
+ * @returns {Object|null} - The file, or null if it was dropped.
+ */
+function chargeFile(url, type, file) {
+  const size = new Blob([file.content]).size;
+  const rejection = checkFileBudget(crawlBudget, type, size);
+  if (rejection) return dropFile(url, type, rejection);
+
+  chargeBudget(crawlBudget, type, size);
+  return file;
+}
+
+/**
+ * Downloads a file into the archive once, however many pages and stylesheets reference it.
+ *
+ * @param {string} url - The absolute URL of the file.
+ * @param {string} type - The type of the file, one of ARCHIVE_FOLDERS.
+ * @param {Function} transform - Optional, changes a text file before it is stored; called with the
+ * content and the path of the file, and returns the new content or a promise of it.
+ * @returns {Promise<string|null>} - The path of the file in the archive, or null if it was not stored.
+ */
+function storeAsset(url, type, transform = null) {
+  const key = getUrlKey(url);
+  if (assetFiles.has(key)) return Promise.resolve(assetFiles.get(key));
+  if (droppedAssets.has(key)) return Promise.resolve(null);
+
+  if (!assetDownloads.has(key)) {
+    assetDownloads.set(key, downloadAsset(url, key, type, transform));
+  }
+  return assetDownloads.get(key);
+}
+
+/**
+ * Downloads a file for storeAsset and adds it to the zip under its collision-safe name.
+ *
+ * @param {string} url - The absolute URL of the file.
+ * @param {string} key - The canonical form of the URL.
+ * @param {string} type - The type of the file, one of ARCHIVE_FOLDERS.
+ * @param {Function} transform - See storeAsset.
+ * @returns {Promise<string|null>} - The path of the file in the archive, or null if it was not stored.
+ */
+async function downloadAsset(url, key, type, transform) {
+  const asText = type === "css" || type === "js";
+
+  let file;
+  try {
+    file = await fetchWithinBudget(url, type, asText);
+  } catch (error) {
+    console.error(`Error fetching ${type} file from: ${url}`);
+    return null;
+  }
+  if (file === null) return null;
+
+  return saveAsset(url, key, type, file, transform);
+}
+
+/**
+ * Adds a downloaded file to the zip, named after its URL and what the file turned out to be.
+ *
+ * @param {string} url - The absolute URL of the file.
+ * @param {string} key - The canonical form of the URL.
+ * @param {string} type - The type of the file, one of ARCHIVE_FOLDERS.
+ * @param {Object} file - The file returned by fetchAsset, which fits the budget.
+ * @param {Function} transform - See storeAsset.
+ * @returns {Promise<string>} - The path of the file in the archive.
+ */
+async function saveAsset(url, key, type, file, transform = null) {
+  const binary = typeof file.content !== "string";
+  const resource = classifyResource({
+    url,
+    ...file,
+    bytes: binary ? new Uint8Array(file.content, 0, Math.min(file.content.byteLength, SNIFF_LENGTH)) : null,
+  });
+
+  const path = getArchivePath(type, getAssetFileName(key, resource));
+  const content = transform ? await transform(file.content, path) : file.content;
+
+  zip.file(path, content, { binary });
+  assetFiles.set(key, path);
+  console.log(`File downloaded and added to zip: ${url}`);
+  return path;
+}
+
+/**
+ * Leaves a file out of the archive and records why. Elements pointing at the file keep their online address.
+ *
+ * @param {string} url - The URL of the file.
+ * @param {string} type - The type of the file.
+ * @param {Object} rejection - The `reason` and `detail` returned by checkFileBudget.
+ * @returns {null}
+ */
+function dropFile(url, type, rejection) {
+  console.log(`Leaving out ${url}: ${rejection.detail}`);
+  droppedAssets.add(getUrlKey(url));
+  recordDroppedFile(jobReport, url, type, rejection.reason, rejection.detail);
+  return null;
+}
+
+/**
+ * Claims a place for a page which is about to be processed, unless the page limit is reached.
+ * The place is given back by storePage.
+ *
+ * @param {string} url - The URL of the page, which is reported as dropped if there is no place left.
+ * @returns {boolean} - Returns true if the page may be processed and stored.
+ */
+function claimPage(url) {
+  const rejection = checkPageBudget(crawlBudget, jobReport.pages + claimedPages);
+  if (rejection) {
+    dropFile(url, "html", rejection);
+    return false;
+  }
+
+  claimedPages++;
+  return true;
+}
+
+/**
+ * Stores a processed page in the archive, unless it does not fit the budget. The page must have been claimed by claimPage.
+ *
+ * @param {string} path - The path of the page in the archive.
+ * @param {string} html - The processed HTML.
+ * @param {string} url - The URL of the page.
+ */
+function storePage(path, html, url) {
+  claimedPages--;
+
+  const size = new Blob([html]).size;
+  const rejection = checkFileBudget(crawlBudget, "html", size);
+  if (rejection) {
+    dropFile(url, "html", rejection);
+    return;
+  }
+
+  chargeBudget(crawlBudget, "html", size);
+  zip.file(path, html);
+  jobReport.pages++;
+
+  const key = getUrlKey(url);
+  storedPages.set(pageAliases.get(key) || key, { path, url });
+}
+
+/**
+ * Records a download which failed after all retries in the job report.
+ *
+ * @param {string} url - The URL that could not be downloaded.
+ * @param {string} reason - The reason of the last attempt.
+ */
+function recordFetchFailure(url, reason) {
+  // Downloads ended by cancelling the job did not fail on the site's side
+  if (jobCancellation) return;
+
+  if (!jobReport.failed.some((entry) => entry.url === url)) {
+    jobReport.failed.push({ url, reason });
+  }
+}
+
+/**
+ * Stores the crawl state in IndexedDB, so the job can continue after the browser or the service worker
+ * was closed. Only files added to the zip since the previous checkpoint are written.
+ *
+ * @param {Array<Object>} queue - The pages that are still waiting to be crawled.
+ * @returns {Promise<void>}
+ */
+async function checkpointCrawl(queue) {
+  const entries = Object.values(zip.files).filter(
+    (entry) => !entry.dir && !checkpointedEntries.has(entry)
+  );
+
+  try {
+    const files = await Promise.all(
+      entries.map(async (entry) => ({
+        path: entry.name,
+        content: await entry.async("uint8array"),
+      }))
+    );
+
+    await saveCheckpoint(
+      {
+        options: jobOptions,
+        queue,
+        urlList,
+        assetFiles: [...assetFiles],
+        pageTitles: [...pageTitles],
+        pageAliases: [...pageAliases],
+        pageHashes: [...pageHashes],
+        storedPages: [...storedPages],
+        droppedAssets: [...droppedAssets],
+        budgetUsage: { totalBytes: crawlBudget.totalBytes, typeBytes: crawlBudget.typeBytes },
+        jobReport,
+        savedAt: new Date().toISOString(),
+      },
+      files
+    );
+    entries.forEach((entry) => checkpointedEntries.add(entry));
+  } catch (error) {
+    // A failed checkpoint only means less can be resumed, the job itself goes on
+    console.error("Failed to save the checkpoint: " + error);
+  }
+}
+
+/**
+ * Restores the crawl state and the collected files of an unfinished job. Has to be called
+ * after configureJob, with the checkpoint of the same options.
+ *
+ * @param {Object} checkpoint - The state stored by checkpointCrawl.
+ * @returns {Promise<void>}
+ */
+async function restoreCrawl(checkpoint) {
+  resumedQueue = checkpoint.queue;
+  urlList = checkpoint.urlList;
+  assetFiles = new Map(checkpoint.assetFiles);
+  pageTitles = new Map(checkpoint.pageTitles);
+  pageAliases = new Map(checkpoint.pageAliases);
+  pageHashes = new Map(checkpoint.pageHashes);
+  storedPages = new Map(checkpoint.storedPages);
+  reservedPagePaths = new Map(
+    [...storedPages].map(([key, { path }]) => [path.toLowerCase(), key])
+  );
+  droppedAssets = new Set(checkpoint.droppedAssets);
+  Object.assign(crawlBudget, checkpoint.budgetUsage);
+  jobReport = checkpoint.jobReport;
+
+  for (const { path, content } of await loadCheckpointFiles()) {
+    zip.file(path, content);
+  }
+  Object.values(zip.files).forEach((entry) => checkpointedEntries.add(entry));
+}
+
+/**
+ * Cancels the running job. Downloads that have not started yet are dropped and the crawl stops
+ * after the pages it is working on.
+ *
+ * @param {boolean} saveCollected - Whether the pages collected so far are still saved as a ZIP file.
+ */
+function cancelScrapingProcess(saveCollected) {
+  jobCancellation = { saveCollected };
+  cancelFetches(fetchScheduler);
+}
+
+/**
+ * Calculates the download progress percentage.
+ *
+ * @param {number} currentCount - The current count of processed items.
+ * @param {number} totalCount - The total number of items to process.
+ * @returns {string} - The progress percentage as a string.
+ */
+function calculateProgressPercentage(currentCount, totalCount) {
+  if (totalCount === 0) {
+    return "0%";
+  }
+
+  let percentage = Math.ceil((currentCount / totalCount) * 100);
+  if (percentage > 100) {
+    percentage = 100;
+  }
+
+  return percentage.toString() + "%";
+}
+
+/**
+ * This function basically keeps track of count of an estimate for
+ * the page when things are at zero depth.
+ *
+ * ToDo: This function should probably be a standard for all calculations
+ *
+ * @param {*} inputUrl - The url which
+ * @param {string} html - The HTML of the page
+ */
+async function zeroDepthCounterEstimator(inputUrl, html) {
+  // Note that we are estimating length
+  console.log("Estimating the length of urls to be processed");
+
+  // Setup some basic stuff for getting information out of the page
+  let parsed = await parseDocument(html, inputUrl, PAGE_QUERIES);
+
+  // Get the total number of links for css, pdf and javascript for an estimate
+  let cssTotal = parsed.matches.stylesheets.length;
+  let pdfTotal = parsed.matches.anchors.filter((anchor) => getLinkedDocumentType(anchor, inputUrl)).length;
+  let javascriptTotal = parsed.matches.scripts.length;
+  let imagesTotal = parsed.matches.images.length + parsed.matches.sources.length;
+  let videoTotal =
+    parsed.matches.videos.length + parsed.matches.posters.length + parsed.matches.tracks.length;
+  let audioTotal =
+    parsed.matches.audios.length +
+    parsed.matches.anchors.filter((anchor) => isAudioLink(anchor, inputUrl)).length;
+  let frameTotal = parsed.matches.frames.length;
+
+  // Set the total amount for zero depth
+  totalZeroDepthCounter =
+    cssTotal + pdfTotal + javascriptTotal + videoTotal + audioTotal + frameTotal + imagesTotal;
+}
+
+/**
+ * Updates the progress bar for zero depths
+ */
+function zeroDepthCounterUpdate() {
+  if (maxDepthValue == 0) {
+    // Update the progress
+    console.log("Progress Update");
+    zeroDepthCounter++;
+
+    const progressPercentage = calculateProgressPercentage(
+      zeroDepthCounter + 1,
+      totalZeroDepthCounter
+    );
+    updateJobStatus({ progress: progressPercentage });
+  }
+}
+
+/**
+ * This is main function that iterates through the list of all pages and starts scrapping process.
+ */
+async function startScrapingProcess() {
+  // Start to process the links we want to scrape.
+  await processLinks();
+
+  // A cancelled job is discarded, unless the user asked to keep what was collected
+  if (jobCancellation && !jobCancellation.saveCollected) {
+    zip = new JSZip();
+    await deleteCheckpoint();
+    finishJob({ state: "cancelled", progress: "0%", message: "The download was cancelled." });
+    return;
+  }
+  // Point the links between the pages at the captured files, now that it is known which pages were captured
+  await rewriteLinks();
+
+  // Every archive opens with index.html
+  zip.file("index.html", buildArchiveIndex());
+
+  jobReport.cancelled = Boolean(jobCancellation);
+  jobReport.bytes = { total: crawlBudget.totalBytes, byType: crawlBudget.typeBytes };
+
+  // Store the summary of the job next to the scraped pages
+  jobReport.finishedAt = new Date().toISOString();
+  zip.file("report.json", JSON.stringify(jobReport, null, 2));
+
+  // Generate the zip file name from the hostname of the starting URL, or of all seeds if they share it
+  let zipName = new URL(startingURLInput).hostname;
+  if (seedUrls.some((seed) => new URL(seed).hostname !== zipName)) zipName = "multiple-sites";
+
+  // Generate the zip file and hand it to the downloads API
+  updateJobStatus({ progress: "100%", message: "Creating the ZIP file" });
+  const content = await zip.generateAsync({ type: "blob" });
+  console.log("ZIP Download Process");
+  await downloadArchive(content, zipName + ".zip");
+
+  // Clear the zip variable for future use
+  zip = new JSZip();
+}
+
+/**
+ * Processes both external CSS files and inline styles within the HTML to
+ * handle images and replace them with locally stored images.
+ *
+ * @param {Object} page - The parsed page whose stylesheets and inline styles are processed.
+ * @returns {Promise<void>}
+ */
+async function processCSSAndImages(page) {
+  console.log("Processing CSS Files and Inline Styles");
+
+  // Process external CSS files (linked via <link> tags)
+  const stylesheets = page.matches.stylesheets.map(async (linkElement) => {
+    try {
+      let cssHref = linkElement.attributes.href;
+
+      if (maxDepthValue === 0) zeroDepthCounterUpdate();
+
+      // Skip stylesheet links without a target
+      if (!cssHref) return;
+
+      // Convert to absolute URL if necessary
+      if (!cssHref.startsWith("https://") && !cssHref.startsWith("http://")) {
+        cssHref = getAbsolutePath(cssHref, page.url).href;
+      }
+
+      // Download the CSS file once, with its images pointing at the local copies. It is stored as UTF-8,
+      // so an @charset naming the site's encoding would garble it
+      const cssPath = await storeAsset(cssHref, "css", (cssData, path) =>
+        processCSSImages(cssData.replace(/^@charset\s+"[^"]*";/i, '@charset "UTF-8";'), cssHref, path)
+      );
+
+      // Update the link tag to point to the local CSS file
+      if (cssPath) {
+        editElement(page, linkElement, {
+          attributes: { href: getRelativePath(page.path, cssPath) },
+        });
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  });
+
+  // Process inline <style> tags
+  const styles = page.matches.styles.map(async (styleElement) => {
+    try {
+      let styleContent = styleElement.text;
+
+      // Process inline CSS to handle image URLs
+      let processedStyleContent = await processCSSImages(styleContent, page.url, page.path);
+
+      // Update the <style> tag with the processed content
+      editElement(page, styleElement, { text: processedStyleContent });
+    } catch (error) {
+      console.error(error);
+    }
+  });
+
+  await Promise.all([...stylesheets, ...styles]);
+}
+
+/**
+* Processes CSS content (from external CSS files or inline styles) to find image URLs, download the images,
+* and replace them with locally stored paths. Handles errors like 404 and ensures image processing continues.
+*
+* @param {string} cssData - The raw CSS content to be processed.
+* @param {string} cssUrl - The URL of the CSS file (or base URL for inline styles) to resolve relative image paths.
+* @param {string} cssPath - The path of the CSS file (or of the page for inline styles) in the archive, which the
+* local image paths are relative to.
+* @returns {Promise<string>} - The processed CSS with updated image URLs pointing to locally stored images.
+*/
+async function processCSSImages(cssData, cssUrl, cssPath) {
+  // Regular expression to match `url()` in CSS (used for images)
+  const imageUrlRegex = /url\(["']?([^"')]+)["']?\)/g;
+
+  // The download of every url(), in the order they appear in the CSS
+  let downloadPromises = [];
+
+  // Collect the images, each one is only downloaded once
+  cssData.replace(imageUrlRegex, (match, imageUrl) => {
+    let resolvedUrl = imageUrl;
+
+    // Handle different types of URLs
+    if (imageUrl.startsWith("//")) {
+      resolvedUrl = "https:" + imageUrl;
+    } else if (!imageUrl.startsWith("https://") && !imageUrl.startsWith("http://")) {
+      resolvedUrl = getAbsolutePath(imageUrl, cssUrl).href;
+    }
+
+    // Inline data: images stay as they are
+    if (!/^https?:\/\//.test(resolvedUrl)) {
+      downloadPromises.push(Promise.resolve(null));
+      return match;
+    }
+
+    downloadPromises.push(storeAsset(resolvedUrl, "img"));
+    return match;
+  });
+
+  // Wait for all downloads to complete
+  const imagePaths = await Promise.all(downloadPromises);
+
+  // Replace the original URLs in the CSS with the local paths, except for images that were not stored
+  let index = 0;
+  return cssData.replace(imageUrlRegex, (match) => {
+    const imagePath = imagePaths[index++];
+    return imagePath ? `url("${getRelativePath(cssPath, imagePath)}")` : match;
+  });
+}
+
+/**
+ * Processes the links to PDFs and to the linked documents chosen in the popup, like office files,
+ * ebooks and archives. The documents are stored in their own folder and rewriteLinks points the links
+ * at them, like the links to captured pages.
+ *
+ * @param {Object} page - The parsed page whose document links are processed.
+ * @returns {Promise<void>}
+ */
+async function processLinkedDocuments(page) {
+  console.log("Processing Linked Documents");
+
+  await Promise.all(
+    page.matches.anchors.map(async (anchorElement) => {
+      try {
+        const type = getLinkedDocumentType(anchorElement, page.url);
+        if (!type) {
+          await processUncrawledLink(getLinkTarget(anchorElement, page.url), page.seed);
+          return;
+        }
+
+        if (maxDepthValue === 0) zeroDepthCounterUpdate();
+
+        // Download the document once
+        await storeAsset(getLinkTarget(anchorElement, page.url), type);
+      } catch (error) {
+        console.error(error);
+      }
+    })
+  );
+}
+
+/**
+ * Stores what a link leads to when its address does not tell and the crawl does not fetch it, like
+ * download.php?file=3 on the last level of the crawl. The links the crawl follows are classified by fetchPage.
+ *
+ * @param {string|null} url - The URL the link leads to, as returned by getLinkTarget.
+ * @param {string} seed - The seed the page holding the link was found under, whose scope applies.
+ * @returns {Promise<void>}
+ */
+async function processUncrawledLink(url, seed) {
+  if (!url || !isAmbiguousLink(url)) return;
+
+  // Queued and captured pages are classified when they are fetched
+  const key = getUrlKey(url);
+  if (urlList.includes(key) || pageAliases.has(key)) return;
+
+  // The links the crawl would not follow are left alone
+  if (!isInScope(url, seed, crawlScope || SITE_SCOPE) || checkUrlFilters(url, urlFilters)) return;
+  if (robotsPolicy && !(await checkRobots(robotsPolicy, url)).allowed) return;
+
+  if (!linkClassifications.has(key)) linkClassifications.set(key, classifyLink(url));
+  const resource = await linkClassifications.get(key);
+  if (!resource) return;
+
+  // Files known by their headers are downloaded like the documents linked by their extension
+  const type = getResourceFolder(resource);
+  if (type) await storeAsset(url, type);
+  else await storeLinkedResource(url, resource, null);
+}
+
+/**
+ * Tells whether the address of a link leaves open what it leads to, like download.php or get?id=7.
+ * Addresses like /about are taken for pages without asking the server.
+ *
+ * @param {string} url - The absolute URL of the link.
+ * @returns {boolean} - Returns true for server scripts and for addresses with a query but no extension.
+ */
+function isAmbiguousLink(url) {
+  if (guessResourceKind(url) !== null) return false;
+
+  const extension = getFileExtension(url);
+  return SERVER_SCRIPT_EXTENSIONS.includes(extension) || (!extension && new URL(url).search !== "");
+}
+
+/**
+ * Tells what a link leads to from the headers of the response, without downloading it. Links whose
+ * server does not answer HEAD requests, or only sends a generic type, are taken for pages.
+ *
+ * @param {string} url - The URL of the link.
+ * @returns {Promise<Object|null>} - The resource returned by classifyResource, or null for pages and
+ * links the server did not tell about.
+ */
+async function classifyLink(url) {
+  const head = await checkLink(url);
+  if (!head.ok) return null;
+
+  const resource = classifyResource({
+    url,
+    contentType: head.contentType || "",
+    contentDisposition: head.contentDisposition || "",
+  });
+  return resource.kind === "page" ? null : resource;
+}
+
+/**
+ * Tells whether a link leads to a PDF or a linked document by the extension of its address. Links
+ * which do not tell, like download.php?file=3, are classified from the response by fetchPage or processUncrawledLink.
+ *
+ * @param {Object} anchorElement - The parsed <a> element.
+ * @param {string} pageUrl - The URL of the page the link is on.
+ * @returns {string|null} - The folder the document goes to, "pdf" or "docs", or null if it is no document.
+ */
+function getLinkedDocumentType(anchorElement, pageUrl) {
+  const url = getLinkTarget(anchorElement, pageUrl);
+  if (!url) return null;
+
+  const type = getResourceFolder({ kind: guessResourceKind(url), extension: getFileExtension(url) });
+  return type === "pdf" || type === "docs" ? type : null;
+}
+
+/**
+ * Tells whether a link leads to an audio file, like an .mp3 or .ogg episode, by the extension of its address.
+ *
+ * @param {Object} anchorElement - The parsed <a> element.
+ * @param {string} pageUrl - The URL of the page the link is on.
+ * @returns {boolean} - Returns true if the link leads to an audio file.
+ */
+function isAudioLink(anchorElement, pageUrl) {
+  const url = getLinkTarget(anchorElement, pageUrl);
+  return Boolean(url) && guessResourceKind(url) === "audio";
+}
+
+/**
+ * Resolves the address a link leads to, without the fragment of the link, like "#page=3".
+ *
+ * @param {Object} anchorElement - The parsed <a> element.
+ * @param {string} pageUrl - The URL of the page the link is on.
+ * @returns {string|null} - The absolute URL, or null if the link does not lead to a web address.
+ */
+function getLinkTarget(anchorElement, pageUrl) {
+  let url;
+  try {
+    url = getAbsolutePath(anchorElement.attributes.href, pageUrl);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+
+  url.hash = "";
+  return url.href;
+}
+
+/**
+ * Picks the folder a classified resource is stored in.
+ *
+ * @param {Object} resource - The `kind`, `extension` and optional `mimeType` of the resource.
+ * @returns {string|null} - One of ARCHIVE_FOLDERS, or null if the resource is not stored.
+ */
+function getResourceFolder(resource) {
+  if (resource.kind === "pdf") return "pdf";
+  if (documentTypes && isListedDocument(documentTypes, resource)) return "docs";
+  return { image: "img", audio: "audio", video: "video" }[resource.kind] || null;
+}
+
+/**
+ * Processes to handle Image files, including the sizes listed in srcset on <img> and <picture><source>
+ *
+ * @param {Object} page - The parsed page whose images are processed.
+ * @returns {Promise<void>}
+ */
+async function processImages(page) {
+  console.log("Processing Image Files");
+
+  // The <source> elements of a <picture> only list their images in srcset
+  const sources = page.matches.sources.map(async (sourceElement) => {
+    try {
+      if (maxDepthValue === 0) zeroDepthCounterUpdate();
+
+      const srcset = await storeSrcset(page, sourceElement.attributes.srcset);
+      editElement(page, sourceElement, { attributes: { srcset: srcset.value } });
+    } catch (error) {
+      console.error(`Error processing image sources: ${sourceElement.attributes.srcset}`, error);
+    }
+  });
+
+  const images = page.matches.images.map(async (imgElement) => {
+    let imgSrc = imgElement.attributes.src;
+    const attributes = {};
+
+    try {
+      // Update the progress bar for zero depth
+      if (maxDepthValue === 0) zeroDepthCounterUpdate();
+
+      // Browsers prefer the images of srcset over src
+      if (imgElement.attributes.srcset) {
+        const srcset = await storeSrcset(page, imgElement.attributes.srcset);
+        attributes.srcset = srcset.value;
+
+        // When a single size is kept, src shows it as well instead of downloading another size
+        if (srcsetPolicy !== "all" && srcset.path) attributes.src = srcset.path;
+      }
+
+      // If the src attribute is missing or the image is a base64 encoded string, skip it
+      if (!attributes.src && imgSrc && !imgSrc.includes("base64")) {
+        // Convert to absolute URL if necessary
+        if (!imgSrc.startsWith("https://") && !imgSrc.startsWith("http://")) {
+          imgSrc = getAbsolutePath(imgSrc, page.url).href;
+        }
+
+        // Download the image once; images that were not stored keep their online address
+        const imagePath = await storeAsset(imgSrc, "img");
+        if (imagePath) attributes.src = getRelativePath(page.path, imagePath);
+      }
+    } catch (error) {
+      console.error(`Error processing image: ${imgSrc}`, error);
+    }
+
+    // Update the <img> tag to point to the locally stored images
+    if (Object.keys(attributes).length) editElement(page, imgElement, { attributes });
+  });
+
+  await Promise.all([...sources, ...images]);
+}
+
+/**
+ * Downloads the images of a srcset attribute which the job's policy keeps, and points them at the local copies.
+ * Images that were not stored keep their online address, relative addresses would lead nowhere offline.
+ *
+ * @param {Object} page - The parsed page the srcset is on.
+ * @param {string} srcset - The value of the srcset attribute.
+ * @returns {Promise<Object>} - The new srcset `value`, and the `path` of the image relative to the page
+ * if a single image was kept and stored, otherwise null.
+ */
+async function storeSrcset(page, srcset) {
+  const candidates = await Promise.all(
+    selectSrcsetCandidates(parseSrcset(srcset), srcsetPolicy).map(async ({ url, descriptor }) => {
+      // Base64 encoded images stay in the page
+      if (url.startsWith("data:")) return { url, descriptor, stored: false };
+
+      const imageUrl = getAbsolutePath(url, page.url).href;
+      const imagePath = /^https?:/.test(imageUrl) ? await storeAsset(imageUrl, "img") : null;
+      return imagePath
+        ? { url: getRelativePath(page.path, imagePath), descriptor, stored: true }
+        : { url: imageUrl, descriptor, stored: false };
+    })
+  );
+
+  return {
+    value: serializeSrcset(candidates),
+    path: candidates.length === 1 && candidates[0].stored ? candidates[0].url : null,
+  };
+}
+
+/**
+ * Processes to handle Javascript files
+ *
+ * @param {Object} page - The parsed page whose external scripts are processed.
+ * @returns {Promise<void>}
+ */
+async function processJss(page) {
+  console.log("Processing JavaScript Files");
+
+  // Process external <script> tags with a src attribute
+  await Promise.all(
+    page.matches.scripts.map(async (scriptElement) => {
+      try {
+        let scriptSrc = scriptElement.attributes.src;
+
+        if (maxDepthValue === 0) zeroDepthCounterUpdate();
+
+        // Convert to absolute URL if necessary
+        if (!scriptSrc.startsWith("https://") && !scriptSrc.startsWith("http://")) {
+          scriptSrc = getAbsolutePath(scriptSrc, page.url).href;
+        }
+
+        // Download the JavaScript file once
+        const scriptPath = await storeAsset(scriptSrc, "js");
+
+        // Update the <script> tag to point to the local JavaScript file
+        if (scriptPath) {
+          editElement(page, scriptElement, {
+            attributes: { src: getRelativePath(page.path, scriptPath) },
+          });
+        }
+      } catch (error) {
+        console.error(error);
+      }
+    })
+  );
+
+  // Inline <script> tags (without src) are left unchanged in the page
+}
+
+/**
+ *
+ * Processes to handle video files, together with their poster images and subtitle tracks
+ *
+ * @param {Object} page - The parsed page whose videos are processed.
+ * @returns {Promise<void>}
+ */
+async function processVideos(page) {
+  console.log("Processing Video Files");
+
+  await Promise.all([
+    // <video src> and the <source src> within videos
+    ...page.matches.videos.map((videoElement) => storeElementAsset(page, videoElement, "src", "video")),
+    // The images shown before a video starts
+    ...page.matches.posters.map((videoElement) => storeElementAsset(page, videoElement, "poster", "img")),
+    // Subtitles, captions and chapters of videos and audio, WebVTT or SRT files kept as they are
+    ...page.matches.tracks.map((trackElement) => storeElementAsset(page, trackElement, "src", "subtitles")),
+  ]);
+}
+
+/**
+ * Downloads the file an attribute of an element points to and points the attribute at the local copy.
+ * Files that were not stored keep their online address.
+ *
+ * @param {Object} page - The parsed page the element is on.
+ * @param {Object} element - The parsed element.
+ * @param {string} attribute - The attribute holding the address of the file, like "src" or "poster".
+ * @param {string} type - The type of the file, one of the keys of ARCHIVE_FOLDERS.
+ * @returns {Promise<void>}
+ */
+async function storeElementAsset(page, element, attribute, type) {
+  let fileUrl = element.attributes[attribute];
+
+  try {
+    if (maxDepthValue === 0) zeroDepthCounterUpdate();
+
+    // If the attribute is empty or holds a base64 encoded file, skip processing
+    if (!fileUrl || fileUrl.startsWith("data:")) return;
+
+    // Resolve relative paths to absolute URLs
+    if (!fileUrl.startsWith("https://") && !fileUrl.startsWith("http://")) {
+      fileUrl = getAbsolutePath(fileUrl, page.url).href;
+    }
+
+    // Download the file once
+    const filePath = await storeAsset(fileUrl, type);
+    if (!filePath) return;
+
+    editElement(page, element, {
+      attributes: { [attribute]: getRelativePath(page.path, filePath) },
+    });
+  } catch (error) {
+    console.error(`Error processing ${type} file from: ${fileUrl}`, error);
+  }
+}
+
+/**
+ * Processes to handle audio files: <audio> elements, the <source> elements within them and links to
+ * audio files. Links are pointed at the local copies by rewriteLinks, like the links to documents.
+ *
+ * @param {Object} page - The parsed page whose audio files are processed.
+ * @returns {Promise<void>}
+ */
+async function processAudios(page) {
+  console.log("Processing Audio Files");
+
+  // Both <audio src> and <source src> get their src rewritten
+  const elements = page.matches.audios.map((audioElement) =>
+    storeElementAsset(page, audioElement, "src", "audio")
+  );
+
+  const links = page.matches.anchors
+    .filter((anchorElement) => isAudioLink(anchorElement, page.url))
+    .map(async (anchorElement) => {
+      try {
+        if (maxDepthValue === 0) zeroDepthCounterUpdate();
+        await storeAsset(getLinkTarget(anchorElement, page.url), "audio");
+      } catch (error) {
+        console.error(error);
+      }
+    });
+
+  await Promise.all([...elements, ...links]);
+}
+
+/**
+ * Processes the iframes of a page as documents of their own. Frames within the crawl scope are stored
+ * as pages, frames with their HTML in the srcdoc attribute are processed in place, and frames from
+ * outside the scope are replaced with a placeholder linking to the original. Video players like
+ * YouTube are replaced with a card showing the video's title and thumbnail, wherever they come from.
+ *
+ * @param {Object} page - The parsed page whose frames are processed.
+ * @returns {Promise<void>}
+ */
+async function processFrames(page) {
+  console.log("Processing Frames");
+
+  // The frames of a crawled page are on the first level, the frames within them on the next one
+  const frameDepth = (page.frameDepth || 0) + 1;
+
+  await Promise.all(
+    page.matches.frames.map(async (frameElement) => {
+      const { src, srcdoc } = frameElement.attributes;
+
+      try {
+        if (maxDepthValue === 0) zeroDepthCounterUpdate();
+
+        // Browsers show srcdoc instead of src, its relative addresses resolve against the page holding the frame
+        if (srcdoc !== undefined) {
+          const framePage = await parseDocument(srcdoc, page.url, PAGE_QUERIES);
+          framePage.path = page.path;
+          framePage.seed = page.seed;
+          framePage.frameDepth = frameDepth;
+          editElement(page, frameElement, { attributes: { srcdoc: await processDocument(framePage) } });
+          return;
+        }
+
+        // Leave about:blank, data: and javascript: frames alone
+        const frameUrl = getAbsolutePath(src, page.url);
+        if (frameUrl.protocol !== "http:" && frameUrl.protocol !== "https:") return;
+
+        const fragment = frameUrl.hash;
+        frameUrl.hash = "";
+
+        // Embedded videos only play online, so the card links to where they can be watched later
+        const embed = detectVideoEmbed(frameUrl.href);
+        if (embed) {
+          const details = await getVideoEmbedDetails(embed);
+          editElement(page, frameElement, {
+            outerHTML: buildVideoPlaceholder({
+              title: details.title || frameElement.attributes.title || `${embed.provider} video`,
+              provider: embed.provider,
+              url: embed.watchUrl,
+              thumbnail: details.thumbnailPath ? getRelativePath(page.path, details.thumbnailPath) : null,
+              width: frameElement.attributes.width,
+              height: frameElement.attributes.height,
+            }),
+          });
+          return;
+        }
+
+        if (!(await acceptFrame(frameUrl.href, page.seed, frameDepth))) {
+          editElement(page, frameElement, {
+            outerHTML: buildFramePlaceholder({
+              text: framePlaceholder,
+              url: frameUrl.href + fragment,
+              title: frameElement.attributes.title,
+              width: frameElement.attributes.width,
+              height: frameElement.attributes.height,
+            }),
+          });
+          return;
+        }
+
+        // Frames that were not stored keep their online address
+        const framePath = await storeFrame(frameUrl.href, page.seed, frameDepth);
+        if (!framePath) return;
+
+        editElement(page, frameElement, {
+          attributes: { src: getRelativePath(page.path, framePath) + fragment },
+        });
+      } catch (error) {
+        console.error(`Error processing frame from: ${src}`, error);
+      }
+    })
+  );
+}
+
+/**
+ * Looks up the title and thumbnail of an embedded video once per job, however many pages embed it.
+ *
+ * @param {Object} embed - The embed returned by detectVideoEmbed.
+ * @returns {Promise<Object>} - The details returned by fetchVideoEmbedDetails.
+ */
+function getVideoEmbedDetails(embed) {
+  if (!videoEmbeds.has(embed.watchUrl)) {
+    videoEmbeds.set(embed.watchUrl, fetchVideoEmbedDetails(embed));
+  }
+  return videoEmbeds.get(embed.watchUrl);
+}
+
+/**
+ * Asks the provider's oEmbed service for the title and thumbnail of an embedded video and downloads the
+ * thumbnail. Videos the service does not know, like private ones, keep the thumbnail the provider has for every video.
+ *
+ * @param {Object} embed - The embed returned by detectVideoEmbed.
+ * @returns {Promise<Object>} - The `title`, which is empty if it is not known, and the `thumbnailPath`
+ * in the archive, or null if no thumbnail was stored.
+ */
+async function fetchVideoEmbedDetails(embed) {
+  let details = {};
+  try {
+    details = JSON.parse(await fetchText(embed.oEmbedUrl)) || {};
+  } catch (error) {
+    // Without an answer only the provider's own thumbnail is left
+  }
+
+  const thumbnailUrl = /^https?:\/\//.test(details.thumbnail_url) ? details.thumbnail_url : embed.thumbnailUrl;
+  return {
+    title: typeof details.title === "string" ? details.title.trim() : "",
+    thumbnailPath: thumbnailUrl ? await storeAsset(thumbnailUrl, "img") : null,
+  };
+}
+
+/**
+ * Checks if the document of a frame may be captured, by the crawl scope and robots.txt like the links.
+ * The include and exclude patterns only choose the pages to crawl, the frames belong to the pages they are on.
+ * Without a scope only the frames from the seed's site are captured, and frames nest at most one level
+ * deeper than the crawl, so a frame which frames itself under a new address does not recurse forever.
+ *
+ * @param {string} url - The URL of the frame, without fragment.
+ * @param {string} seed - The seed the page holding the frame was found under.
+ * @param {number} frameDepth - The nesting level of the frame, 1 for the frames of a crawled page.
+ * @returns {Promise<boolean>} - Returns true if the frame may be captured.
+ */
+async function acceptFrame(url, seed, frameDepth) {
+  const scope = crawlScope || SITE_SCOPE;
+  if (!isInScope(url, seed, scope)) {
+    recordSkippedLink(jobReport, url, "scope", `Frame outside of scope: ${describeScope(seed, scope)}`);
+    return false;
+  }
+
+  // Frames showing a page or file that is captured already only link to it
+  const key = getUrlKey(url);
+  const maxFrameDepth = maxDepthValue + 1;
+  if (frameDepth > maxFrameDepth && !pageAliases.has(key) && !assetFiles.has(key)) {
+    const levels = maxFrameDepth > 1 ? "levels" : "level";
+    recordSkippedLink(jobReport, url, "frame-depth", `Frames are followed at most ${maxFrameDepth} ${levels} deep`);
+    return false;
+  }
+
+  if (robotsPolicy) {
+    const robotsDecision = await checkRobots(robotsPolicy, url);
+    if (!robotsDecision.allowed) {
+      recordSkippedLink(jobReport, url, "robots", robotsDecision.detail);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Stores the document shown in a frame as a page of the archive. Frames often show a PDF, an image or a
+ * video instead, those go to their folder like the links to them.
+ *
+ * @param {string} url - The URL of the frame, without fragment.
+ * @param {string} seed - The seed the page holding the frame was found under.
+ * @param {number} frameDepth - The nesting level of the frame, as for acceptFrame.
+ * @returns {Promise<string|null>} - The path of the stored document, or null if it was not stored.
+ */
+async function storeFrame(url, seed, frameDepth) {
+  const key = getUrlKey(url);
+
+  // Pages that were crawled or framed before are only stored once, which also ends frames showing the page that holds them
+  if (pageAliases.has(key)) return getPageFile(url);
+  if (assetFiles.has(key)) return assetFiles.get(key);
+
+  // Frames are pages of the archive and count against the page limit
+  if (!claimPage(url)) return null;
+  pageAliases.set(key, key);
+
+  const { html, resource, file } = await fetchPage(url);
+  if (html === null) {
+    claimedPages--;
+    pageAliases.delete(key);
+    return resource ? storeLinkedResource(url, resource, file) : null;
+  }
+
+  const framePage = await parsePage(url, html);
+  framePage.path = getPageFile(url);
+  framePage.seed = seed;
+  framePage.frameDepth = frameDepth;
+  storePage(framePage.path, await processPage(framePage), url);
+
+  return getCapturedPagePath(url);
+}
+
+/**
+ *
+ * @param {*} inputUrl - The URL to be processed
+ * @param {*} html - The HTML to be processed, fetched when it is null
+ * @param {string} path - The path the page is stored at in the archive
+ * @param {string} seed - The seed the page was found under, whose scope applies to its frames
+ * @returns {Promise<string>}
+ */
+async function processHTML(inputUrl, html = null, path, seed = inputUrl) {
+  const page = await parsePage(inputUrl, html);
+  page.path = path;
+  page.seed = seed;
+  return processPage(page);
+}
+
+/**
+ * Parses a page once in the offscreen document; the processors only record their edits.
+ *
+ * @param {string} inputUrl - The URL of the page.
+ * @param {string|null} html - The HTML of the page, fetched when it is null; an empty page stays empty.
+ * @returns {Promise<Object>} - The parsed page.
+ */
+async function parsePage(inputUrl, html = null) {
+  // Get the HTML data for each page
+  let htmlData = html === null ? await fetchText(inputUrl) : html;
+
+  return parseDocument(htmlData, inputUrl, PAGE_QUERIES);
+}
+
+/**
+ * Downloads the files of a parsed page and rewrites the page to use the local copies.
+ * The references to the local copies are relative to `page.path`, where the page is stored.
+ *
+ * @param {Object} page - The page returned by parsePage, with its `path` in the archive and
+ * the `seed` it was found under.
+ * @returns {Promise<string>} - The rewritten HTML.
+ */
+async function processPage(page) {
+  pageTitles.set(getUrlKey(page.url), page.title);
+  return processDocument(page);
+}
+
+/**
+ * Runs the processors on a parsed document, a page or the srcdoc of a frame, and applies their edits.
+ *
+ * @param {Object} page - The parsed document, with its `path` and `seed` as for processPage.
+ * @returns {Promise<string>} - The rewritten HTML.
+ */
+async function processDocument(page) {
+  // The processors download side by side, limited by the job's download scheduler
+  await Promise.all([
+    processImages(page),
+    processLinkedDocuments(page),
+    processCSSAndImages(page),
+    processJss(page),
+    processVideos(page),
+    processAudios(page),
+    processFrames(page),
+    processAnchors(page),
+    processCharsets(page),
+  ]);
+
+  // Apply every recorded edit in a single pass
+  return rewriteDocument(page);
+}
+
+/**
+ * Marks the links to other pages and files with their absolute address. Which pages and files are captured
+ * is only known once the crawl is done, so rewriteLinks points the marked links at the local files at the end of the job.
+ *
+ * @param {Object} page - The parsed page whose links are marked.
+ * @returns {Promise<void>}
+ */
+async function processAnchors(page) {
+  for (const anchor of page.matches.anchors) {
+    const href = anchor.attributes.href;
+
+    // Links within the page itself keep working offline
+    if (href.startsWith("#")) continue;
+
+    let absoluteUrl;
+    try {
+      absoluteUrl = getAbsolutePath(href, page.url);
+    } catch (error) {
+      continue;
+    }
+
+    // Leave mailto:, tel: and javascript: links alone
+    if (absoluteUrl.protocol !== "http:" && absoluteUrl.protocol !== "https:") continue;
+
+    editElement(page, anchor, { attributes: { [LINK_URL_ATTRIBUTE]: absoluteUrl.href } });
+  }
+}
+
+/**
+ * Declares the document as UTF-8, which is how it is stored in the archive whatever encoding the site used.
+ *
+ * @param {Object} page - The parsed document whose charset declarations are rewritten.
+ * @returns {Promise<void>}
+ */
+async function processCharsets(page) {
+  for (const meta of page.matches.charsets) {
+    const attributes =
+      meta.attributes.charset !== undefined ? { charset: "UTF-8" } : { content: "text/html; charset=UTF-8" };
+    editElement(page, meta, { attributes });
+  }
+}
+
+/**
+ * Returns the path of the captured page a URL leads to.
+ *
+ * @param {string} url - The URL of the page, without fragment.
+ * @returns {string|null} - The path of the stored file, or null if the page was not captured.
+ */
+function getCapturedPagePath(url) {
+  const key = getUrlKey(url);
+  const stored = storedPages.get(pageAliases.get(key) || key);
+  return stored ? stored.path : null;
+}
+
+/**
+ * Returns the path of the downloaded file a URL leads to, like a linked document.
+ *
+ * @param {string} url - The URL of the file, without fragment.
+ * @returns {string|null} - The path of the stored file, or null if the file was not downloaded.
+ */
+function getStoredFilePath(url) {
+  return assetFiles.get(getUrlKey(url)) || null;
+}
+
+/**
+ * Points the links marked by processAnchors at the captured pages and downloaded files, keeping their
+ * fragments. Links to pages that were not captured are treated according to the job's settings.
+ *
+ * @returns {Promise<void>}
+ */
+async function rewriteLinks() {
+  updateJobStatus({ message: "Linking the pages" });
+  let usesOfflinePage = false;
+
+  for (const { path, url } of storedPages.values()) {
+    const file = zip.file(path);
+    if (!file) continue;
+
+    const linked = await linkDocument(await file.async("string"), url, path);
+    usesOfflinePage = usesOfflinePage || linked.usesOfflinePage;
+    zip.file(path, linked.html);
+  }
+
+  if (usesOfflinePage) zip.file(OFFLINE_PAGE_PATH, buildOfflinePage());
+  updateJobStatus({ message: "" });
+}
+
+/**
+ * Points the marked links of a stored page at the local files, including the links within its srcdoc frames.
+ *
+ * @param {string} html - The HTML of the page or frame.
+ * @param {string} url - The URL of the page.
+ * @param {string} path - The path of the page in the archive, which the links are relative to.
+ * @returns {Promise<Object>} - The rewritten `html` and whether any link `usesOfflinePage`.
+ */
+async function linkDocument(html, url, path) {
+  let usesOfflinePage = false;
+
+  const page = await parseDocument(html, url, {
+    links: `a[${LINK_URL_ATTRIBUTE}]`,
+    frames: "iframe[srcdoc]",
+  });
+
+  for (const link of page.matches.links) {
+    const target = new URL(link.attributes[LINK_URL_ATTRIBUTE]);
+    const fragment = target.hash;
+    target.hash = "";
+
+    const targetPath = getCapturedPagePath(target.href) || getStoredFilePath(target.href);
+    const attributes = { [LINK_URL_ATTRIBUTE]: null };
+
+    if (targetPath) {
+      attributes.href = getRelativePath(path, targetPath) + fragment;
+    } else if (uncapturedLinks === "external") {
+      attributes.href = target.href + fragment;
+      attributes.target = "_blank";
+      attributes.rel = "external noopener";
+      attributes.title = "Not available offline, opens the live site";
+    } else if (uncapturedLinks === "offline") {
+      attributes.href =
+        getRelativePath(path, OFFLINE_PAGE_PATH) + "?url=" + encodeURIComponent(target.href + fragment);
+      usesOfflinePage = true;
+    } else {
+      // Relative links would lead nowhere offline, so they point at the live site
+      attributes.href = target.href + fragment;
+    }
+
+    editElement(page, link, { attributes });
+  }
+
+  // The documents of srcdoc frames are stored within the attribute, their links are relative to the page as well
+  for (const frame of page.matches.frames) {
+    if (!frame.attributes.srcdoc.includes(LINK_URL_ATTRIBUTE)) continue;
+
+    const linked = await linkDocument(frame.attributes.srcdoc, url, path);
+    usesOfflinePage = usesOfflinePage || linked.usesOfflinePage;
+    editElement(page, frame, { attributes: { srcdoc: linked.html } });
+  }
+
+  return { html: await rewriteDocument(page), usesOfflinePage };
+}
+
+/**
+ * Builds the index.html at the root of the archive. Archives of a single site can open their start page
+ * right away; otherwise the landing page lists every captured page, the start pages first.
+ *
+ * @returns {string} - The HTML of the index page.
+ */
+function buildArchiveIndex() {
+  const startPath = getCapturedPagePath(startingURLInput);
+  const startTitle = startPath ? pageTitles.get(getUrlKey(startingURLInput)) : "";
+  const title =
+    seedUrls.length > 1
+      ? "Project Scraper archive"
+      : startTitle || new URL(startingURLInput).hostname;
+
+  if (indexPageMode === "redirect" && startPath && seedUrls.length === 1) {
+    return buildRedirectPage({ title, path: getRelativePath("index.html", startPath) });
+  }
+
+  const seedPaths = seedUrls.map(getCapturedPagePath);
+  const entries = [...storedPages].map(([key, { path, url }]) => ({
+    url,
+    path: getRelativePath("index.html", path),
+    title: pageTitles.get(key) || pageTitles.get(getUrlKey(url)) || url,
+    seedIndex: seedPaths.indexOf(path),
+  }));
+
+  // Start pages first in the order they were entered, then the other pages by address
+  entries.sort((a, b) => {
+    if (a.seedIndex !== b.seedIndex) {
+      if (a.seedIndex === -1) return 1;
+      if (b.seedIndex === -1) return -1;
+      return a.seedIndex - b.seedIndex;
+    }
+    return a.url < b.url ? -1 : a.url > b.url ? 1 : 0;
+  });
+
+  // PDFs and linked documents by address, named after their file
+  const documents = [...assetFiles]
+    .filter(([, path]) => path.startsWith(getArchivePath("pdf", "")) || path.startsWith(getArchivePath("docs", "")))
+    .map(([url, path]) => ({
+      url,
+      path: getRelativePath("index.html", path),
+      title: getDocumentTitle(path),
+    }))
+    .sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
+
+  return buildLandingPage({
+    title,
+    capturedAt: new Date(jobReport.startedAt),
+    sources: seedUrls,
+    entries,
+    documents,
+  });
+}
+
+/**
+ * Names a document on the landing page after its file, without the hash which keeps the file name unique.
+ * The file name also covers documents behind addresses like download.php?file=3.
+ *
+ * @param {string} path - The path of the document in the archive.
+ * @returns {string} - The readable file name.
+ */
+function getDocumentTitle(path) {
+  return path.substring(path.lastIndexOf("/") + 1).replace(/~[0-9a-f]{8}(?=\.|$)/, "");
+}
+
+/**
+ * Works out under which URL a page is stored and whether the same page was stored before.
+ * Pages are stored under their rel=canonical URL when it is within the crawl scope, and pages
+ * whose title and main content are identical to a stored page are collapsed into it.
+ *
+ * @param {Object} page - The page returned by parsePage.
+ * @param {string} seed - The seed the page was found under, whose scope applies to the canonical URL.
+ * @returns {Promise<Object>} - The `key` the page is stored under and the `hash` of its main content,
+ * which is null for pages without text.
+ */
+async function identifyPage(page, seed) {
+  let key = getUrlKey(page.url);
+
+  const canonical = page.matches.canonical[0];
+  if (canonical) {
+    try {
+      const canonicalUrl = getAbsolutePath(canonical.attributes.href, page.url).href;
+      if (/^https?:/.test(canonicalUrl) && isInScope(canonicalUrl, seed, crawlScope)) {
+        key = getUrlKey(canonicalUrl);
+      }
+    } catch (error) {
+      // An invalid canonical link is ignored
+    }
+  }
+
+  // Compare the title and main content only, so print views and pages with changing sidebars still match,
+  // while pages which only differ in their images are told apart by their title. Pages with several
+  // articles are compared by all of them, and pages without a main element by their whole body
+  const main = page.matches.mainContent.length ? page.matches.mainContent : page.matches.body;
+  const text = main
+    .map((element) => element.text)
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+  const hash = text ? await hashText(page.title.trim() + "\n" + text) : null;
+
+  return { key, hash };
+}
+
+/**
+ * Checks if the job captures a single page without following its links.
+ *
+ * @returns {boolean} - Returns true for a single start page at depth 0 without a sitemap.
+ */
+function isSinglePageJob() {
+  return maxDepthValue == 0 && seedMode === "page" && seedUrls.length === 1;
+}
+
+/**
+ * Returns the path in the archive of a crawled page, following the pages it was collapsed into.
+ * Pages are flattened into the html folder, or mirror the site's structure with the "mirror" layout.
+ *
+ * @param {string} url - The URL of the page.
+ * @returns {string} - The path of the stored HTML file.
+ */
+function getPageFile(url) {
+  const key = getUrlKey(url);
+  const storedKey = pageAliases.get(key) || key;
+  let path;
+  if (pageLayout === "flat") {
+    // The page of a single page job is stored next to the folders of its files
+    const fileName = getTitle(storedKey) + ".html";
+    path = isSinglePageJob() && storedKey === getUrlKey(currentPage) ? fileName : getArchivePath("html", fileName);
+  } else {
+    path = getMirroredPath(storedKey);
+  }
+
+  // Two addresses can end up at the same path once cleaned up, like "/a-b" and "/a_b", the later one gets a hash
+  const owner = reservedPagePaths.get(path.toLowerCase());
+  if (owner && owner !== storedKey) {
+    path = path.replace(/(\.html?)$/i, "~" + getShortHash(storedKey) + "$1");
+  }
+  reservedPagePaths.set(path.toLowerCase(), storedKey);
+
+  return path;
+}
+
+/**
+ * Process the links for each website we intend to download.
+ */
+async function processLinks() {
+  // A single page without a sitemap is processed on its own, with a more detailed progress estimate
+  if (isSinglePageJob()) {
+    const { html: pageHtml, resource, file } = await fetchPage(currentPage);
+    if (jobCancellation) return;
+
+    // A page that failed to download is only reported, a link to a file is stored in its folder
+    if (pageHtml === null) {
+      if (resource) await storeLinkedResource(currentPage, resource, file);
+      return;
+    }
+
+    // Get the total estimate of links to go through
+    await zeroDepthCounterEstimator(currentPage, pageHtml);
+    if (jobCancellation) return;
+
+    // Claim the page, so frames showing it point at it instead of storing it again
+    const pageKey = getUrlKey(currentPage);
+    pageAliases.set(pageKey, pageKey);
+
+    // ProcessHTML
+    if (!claimPage(currentPage)) return;
+    const pagePath = getPageFile(currentPage);
+    let html = await processHTML(currentPage, pageHtml, pagePath, currentPage);
+
+    storePage(pagePath, html, currentPage);
+
+    // Reset the zero depth information
+    zeroDepthCounter = 0;
+    totalZeroDepthCounter = 0;
+    return;
+  }
+
+  /* We have used a BFS approach
+   * considering the structure as
+   * a tree. It uses a queue based
+   * approach to traverse
+   * links upto a particular depth.
+   * Every entry remembers its seed, whose scope applies to the links found below it.
+   */
+  let queue = resumedQueue;
+
+  // A resumed job continues with the queue of its last checkpoint
+  if (!queue) {
+    queue = seedUrls.map((seed) => ({ url: seed, depth: 0, seed }));
+    urlList = seedUrls.map(getUrlKey);
+
+    // Seed the crawl with the pages listed in the sites' sitemaps
+    if (seedMode === "sitemap") {
+      for (let seed of seedUrls) {
+        for (let url of await getSitemapSeeds(seed)) {
+          queue.push({ url, depth: 0, seed });
+        }
+      }
+    }
+  }
+
+  // Link counters; every listed page that is no longer queued is done, which also holds for resumed jobs
+  let currentCount = urlList.length - queue.length;
+
+  await checkpointCrawl(queue);
+
+  while (queue.length && !jobCancellation) {
+    // Stop once the page budget is spent, the pages left in the queue are reported as dropped
+    const pagesLeft = crawlBudget.maxPages ? crawlBudget.maxPages - jobReport.pages : Infinity;
+    if (pagesLeft <= 0) {
+      const rejection = checkPageBudget(crawlBudget, jobReport.pages);
+      for (const { url } of queue.splice(0)) {
+        recordDroppedFile(jobReport, url, "html", rejection.reason, rejection.detail);
+      }
+      break;
+    }
+
+    // Take the next batch of pages off the queue, their downloads run side by side
+    const batch = queue.splice(0, Math.min(fetchScheduler.maxConcurrent, pagesLeft)).filter(({ url, seed }) => {
+      // Links are checked when they are queued, this also keeps the seeds themselves in scope
+      if (isInScope(url, seed, crawlScope)) return true;
+      recordSkippedLink(jobReport, url, "scope", `Outside of scope: ${describeScope(seed, crawlScope)}`);
+      return false;
+    });
+
+    let pages = await Promise.all(
+      batch.map(async (entry) => {
+        // Read robots.txt first, so the host's Crawl-delay applies from its first page on
+        if (robotsPolicy) await getRobotsRules(robotsPolicy, entry.url);
+        return { ...entry, ...(await fetchPage(entry.url)) };
+      })
+    );
+
+    // Pages whose download was dropped by a cancel are left out
+    if (jobCancellation) break;
+
+    // Links which turned out to be documents, images or videos go to their folder instead of being parsed
+    const resources = pages.filter((entry) => entry.resource);
+    await Promise.all(resources.map(({ url, resource, file }) => storeLinkedResource(url, resource, file)));
+    currentCount += resources.length;
+    pages = pages.filter((entry) => !entry.resource);
+
+    // Pages that failed to download are not stored, links to them are treated like links to uncaptured pages
+    currentCount += pages.filter((entry) => entry.html === null).length;
+    pages = pages.filter((entry) => entry.html !== null);
+
+    // Queue the links of the pages in batch order, so the crawl does not depend on which download finished first
+    for (let { url, depth, seed, html } of pages) {
+      if (depth < maxDepthValue) {
+        for (let link of await getLinks(url, html, seed)) {
+          queue.push({ url: link, depth: depth + 1, seed });
+        }
+      }
+    }
+
+    // Identify the pages in batch order, so the first of several duplicates is the one that is stored
+    const parsedPages = await Promise.all(
+      pages.map(async ({ url, html, seed }) => {
+        const page = await parsePage(url, html);
+        page.seed = seed;
+        return { page, identity: await identifyPage(page, seed) };
+      })
+    );
+
+    const uniquePages = [];
+    for (const { page, identity } of parsedPages) {
+      const urlKey = getUrlKey(page.url);
+      const canonicalKey = pageAliases.get(identity.key);
+      const storedKey = canonicalKey || pageHashes.get(identity.hash);
+
+      if (storedKey === urlKey) {
+        // Pages stored as the frame of an earlier page are done already
+        currentCount++;
+      } else if (storedKey) {
+        // Duplicates count as done right away
+        currentCount++;
+        pageAliases.set(urlKey, storedKey);
+        jobReport.aliases.push({
+          url: page.url,
+          storedAs: storedKey,
+          reason: canonicalKey ? "canonical" : "content",
+        });
+      } else {
+        pageAliases.set(identity.key, identity.key);
+        pageAliases.set(urlKey, identity.key);
+        if (identity.hash) pageHashes.set(identity.hash, identity.key);
+        if (urlKey !== identity.key) {
+          jobReport.aliases.push({ url: page.url, storedAs: identity.key, reason: "canonical" });
+        }
+        uniquePages.push(page);
+      }
+    }
+
+    // The batch fits the page limit, its pages claim their places before their frames are stored
+    const claimedBatch = uniquePages.filter((page) => claimPage(page.url));
+
+    await Promise.all(
+      claimedBatch.map(async (page) => {
+        page.path = getPageFile(page.url);
+        const html = await processPage(page);
+        pageTitles.set(pageAliases.get(getUrlKey(page.url)), page.title);
+
+        // Store the HTML in the zip object
+        storePage(page.path, html, page.url);
+
+        // Update the progress
+        currentCount++;
+
+        // Update the Percentage
+        const progressPercentage = calculateProgressPercentage(
+          currentCount,
+          urlList.length
+        );
+        updateJobStatus({ progress: progressPercentage });
+      })
+    );
+
+    // Every finished batch is saved, so an interrupted job continues after it
+    await checkpointCrawl(queue);
+  }
+}
+
+/**
+ * Reads the sitemaps of a seed's site and returns the pages they list which pass the same
+ * checks as the links found on pages. What was read is recorded in the job report.
+ *
+ * @param {string} seed - The seed whose site's sitemaps are read.
+ * @returns {Promise<Array<string>>} - The pages to add to the crawl queue.
+ */
+async function getSitemapSeeds(seed) {
+  updateJobStatus({ message: "Reading the sitemap" });
+
+  const sitemapUrls = await discoverSitemaps(seed, robotsPolicy, fetchCrawlResource);
+  const sitemap = await collectSitemapUrls(sitemapUrls, sitemapModifiedSince, fetchCrawlResource);
+
+  jobReport.sitemaps.push({
+    seed,
+    sitemaps: sitemap.sitemaps,
+    pages: sitemap.urls.length,
+    filteredByLastmod: sitemap.filtered,
+    modifiedSince: sitemapModifiedSince ? sitemapModifiedSince.toISOString() : null,
+  });
+
+  const seeds = [];
+  for (let url of sitemap.urls) {
+    const key = getUrlKey(url);
+    if (urlList.includes(key)) continue;
+    if (!(await acceptLink(url, seed))) continue;
+
+    seeds.push(url);
+    urlList.push(key);
+  }
+
+  updateJobStatus({ message: "" });
+  return seeds;
+}
+
+/**
+ * Decides whether a discovered URL should be crawled. Links outside of the crawl scope or
+ * rejected by the URL patterns or robots.txt are recorded in the job report.
+ *
+ * @param {string} absoluteUrl - The absolute URL of the link.
+ * @param {string} seed - The seed the link was found under, whose scope applies.
+ * @returns {Promise<boolean>} - Returns true if the URL should be queued.
+ */
+async function acceptLink(absoluteUrl, seed) {
+  const parsedUrl = new URL(absoluteUrl);
+
+  // Skip a bunch of unneeded links, such as mailto: and tel: links
+  if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") return false;
+
+  // Keep the crawl within the chosen scope
+  if (!isInScope(absoluteUrl, seed, crawlScope)) {
+    recordSkippedLink(jobReport, absoluteUrl, "scope", `Outside of scope: ${describeScope(seed, crawlScope)}`);
+    return false;
+  }
+
+  // Apply the include and exclude patterns before the link is added to the list
+  const rejection = checkUrlFilters(absoluteUrl, urlFilters);
+  if (rejection) {
+    recordSkippedLink(jobReport, absoluteUrl, rejection.type, rejection.detail);
+    return false;
+  }
+
+  // Skip the pages robots.txt asks crawlers to stay away from
+  if (robotsPolicy) {
+    const robotsDecision = await checkRobots(robotsPolicy, absoluteUrl);
+    if (!robotsDecision.allowed) {
+      recordSkippedLink(jobReport, absoluteUrl, "robots", robotsDecision.detail);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Collects the links of a page which should be crawled next.
+ *
+ * @param {string} inputUrl - The input or current page within the tab also works for multiple links.
+ * @param {string} html - The HTML of the page, fetched again when it is not given.
+ * @param {string} seed - The seed the page was found under.
+ * @returns {Promise<Set<string>>} - The links of the page which have not been seen before.
+ */
+async function getLinks(inputUrl = currentPage, html = null, seed = currentPage) {
+  // Temp storage of current urls
+  let tempUrls = new Set();
+
+  // Get the html data for each page, unless it was fetched already
+  if (html === null) html = await fetchText(inputUrl);
+  let parsed = await parseDocument(html, inputUrl, { anchors: "a[href]" });
+
+  // Search for all the urls on the first given page
+  for (const anchor of parsed.matches.anchors) {
+    let relative = anchor.attributes.href;
+
+    // Resolve the link against the page it was found on, without the in-page anchor
+    let absoluteUrl;
+    try {
+      const parsedUrl = getAbsolutePath(relative, inputUrl);
+      parsedUrl.hash = "";
+      absoluteUrl = parsedUrl.href;
+    } catch (error) {
+      continue;
+    }
+
+    // Links to PDFs, linked documents and audio files are downloaded by their processors instead
+    if (getLinkedDocumentType(anchor, inputUrl) || isAudioLink(anchor, inputUrl)) continue;
+
+    // Make sure that no urls are already in the list, in any of their spellings
+    const key = getUrlKey(absoluteUrl);
+    if (urlList.includes(key)) continue;
+    if (!(await acceptLink(absoluteUrl, seed))) continue;
+
+    // Note that the Url is being added to the list of Urls
+    console.log("Adding to list: " + absoluteUrl);
+
+    // Store the URLs; the list holds their canonical form
+    tempUrls.add(absoluteUrl);
+    urlList.push(key);
+  }
+  return tempUrls;
+}
@@ -0,0 +1,178 @@
+// Folder of the archive for each type of file
+const ARCHIVE_FOLDERS = {
+  html: "html",
+  css: "css",
+  js: "js",
+  img: "img",
+  video: "video",
+  audio: "audio",
+  subtitles: "subtitles",
+  pdf: "pdf",
+  docs: "docs",
+};
+
+/**
+ * Returns the path inside the archive of a file of the given type.
+ *
+ * @param {string} type - One of the keys of ARCHIVE_FOLDERS.
+ * @param {string} fileName - The name of the file.
+ * @returns {string} - The path, e.g. "img/logo.png".
+ */
+function getArchivePath(type, fileName) {
+  return ARCHIVE_FOLDERS[type] + "/" + fileName;
+}
+
+/**
+ * Builds the relative reference from one file of the archive to another, so links keep working
+ * wherever the archive is extracted.
+ *
+ * @param {string} fromPath - The path of the file containing the reference, e.g. "html/page.html".
+ * @param {string} toPath - The path of the file referenced, e.g. "img/logo.png".
+ * @returns {string} - The relative reference, e.g. "../img/logo.png".
+ */
+function getRelativePath(fromPath, toPath) {
+  const fromFolders = fromPath.split("/").slice(0, -1);
+  const toParts = toPath.split("/");
+
+  // Skip the folders both paths share
+  let common = 0;
+  while (
+    common < fromFolders.length &&
+    common < toParts.length - 1 &&
+    fromFolders[common] === toParts[common]
+  ) {
+    common++;
+  }
+
+  return (
+    "../".repeat(fromFolders.length - common) +
+    toParts.slice(common).map(encodeURIComponent).join("/")
+  );
+}
+
+// Longest readable part of a downloaded file's name, in characters and in UTF-8 bytes
+const MAX_ASSET_STEM_LENGTH = 40;
+const MAX_ASSET_STEM_BYTES = 120;
+
+// How pages are laid out in the archive: flattened into the html folder, or mirroring the site's host and paths
+const PAGE_LAYOUTS = ["flat", "mirror"];
+
+// Names Windows reserves for devices, with or without an extension
+const RESERVED_FILE_NAME_REGEX = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+// Characters no file system accepts in a name, and control characters
+const UNSAFE_FILE_NAME_CHARS_REGEX = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+
+// Longest folder or file name kept as it is, in characters and in UTF-8 bytes; longer ones are shortened and end in a hash
+const MAX_SEGMENT_LENGTH = 64;
+const MAX_SEGMENT_BYTES = 150;
+
+// Longest mirrored path, well below the 260 characters Windows allows including the folder it is extracted to
+const MAX_MIRRORED_PATH_LENGTH = 180;
+
+/**
+ * Turns one segment of a URL path into a folder or file name every file system accepts.
+ *
+ * @param {string} segment - The segment as found in the URL, possibly percent-encoded.
+ * @returns {string} - The safe name.
+ */
+function toSafeSegment(segment) {
+  let name = segment;
+  try {
+    name = decodeURIComponent(segment);
+  } catch (error) {
+    // Malformed escapes are kept as they are
+  }
+
+  // Windows drops trailing dots and spaces, so "a." and "a" would end up the same
+  name = name.normalize("NFC").replace(UNSAFE_FILE_NAME_CHARS_REGEX, "_").replace(/[. ]+$/, "_");
+  if (name === "" || name === "_" || RESERVED_FILE_NAME_REGEX.test(name)) name = "_" + name;
+
+  if (Array.from(name).length > MAX_SEGMENT_LENGTH || getUtf8Length(name) > MAX_SEGMENT_BYTES) {
+    name = truncateFileName(name, MAX_SEGMENT_LENGTH - 9, MAX_SEGMENT_BYTES - 9) + "~" + getShortHash(segment);
+  }
+  return name;
+}
+
+/**
+ * Builds the path of a page which mirrors its address: `https://example.com/docs/guide` is stored
+ * at `example.com/docs/guide/index.html`. Addresses ending in an .html file keep their file name,
+ * query strings are added to the file name with a hash, and overly long paths are shortened.
+ *
+ * @param {string} url - The absolute URL of the page.
+ * @returns {string} - The path of the page in the archive.
+ */
+function getMirroredPath(url) {
+  const parsedUrl = new URL(url);
+
+  // Ports are kept, since different ports can serve different sites
+  const host = toSafeSegment(parsedUrl.hostname + (parsedUrl.port ? "_" + parsedUrl.port : ""));
+  const folders = parsedUrl.pathname.split("/").filter(Boolean).map(toSafeSegment);
+
+  // Clean URLs become folders with an index.html, so "/docs" and "/docs/intro" can both be stored
+  let fileName = "index";
+  let extension = ".html";
+  const lastSegment = folders[folders.length - 1] || "";
+  const htmlFile = lastSegment.match(/^(.+)(\.html?)$/i);
+  if (htmlFile && !parsedUrl.pathname.endsWith("/")) {
+    folders.pop();
+    [, fileName, extension] = htmlFile;
+  }
+
+  if (parsedUrl.search) {
+    const query = toSafeSegment(parsedUrl.search.substring(1)).substring(0, 40);
+    fileName += "_" + query + "~" + getShortHash(parsedUrl.search);
+  }
+
+  // Keep as many folders as fit and replace the rest by a hash of them
+  let path = [host, ...folders, fileName + extension].join("/");
+  if (path.length > MAX_MIRRORED_PATH_LENGTH) {
+    const kept = [host];
+    let length = host.length + fileName.length + extension.length + 11;
+    for (const folder of folders) {
+      if (length + folder.length + 1 > MAX_MIRRORED_PATH_LENGTH) break;
+      kept.push(folder);
+      length += folder.length + 1;
+    }
+    const rest = folders.slice(kept.length - 1).join("/");
+    path = [...kept, "~" + getShortHash(rest), fileName + extension].join("/");
+  }
+
+  return path;
+}
+
+/**
+ * Names a downloaded file after its URL: a readable stem from the file name the server suggested or
+ * the last part of the path, a hash of the whole URL so files with the same name in different folders
+ * or with different query strings do not overwrite each other, and an extension from the name or else
+ * from what the file turned out to be.
+ *
+ * @param {string} url - The canonical form of the file's URL.
+ * @param {Object} resource - The classification returned by classifyResource, if the file was fetched.
+ * @returns {string} - The file name, e.g. "logo~1a2b3c4d.png".
+ */
+function getAssetFileName(url, resource = {}) {
+  let name = resource.fileName;
+  if (!name) {
+    const path = new URL(url).pathname;
+    name = path.substring(path.lastIndexOf("/") + 1);
+    try {
+      name = decodeURIComponent(name);
+    } catch (error) {
+      // Malformed escapes are kept as they are
+    }
+  }
+
+  // Names may contain line breaks, from "%0A" in the address or the server's Content-Disposition
+  let [, stem, extension = ""] = name.match(/^([\s\S]*?)(\.[a-z0-9]{1,5})?$/i);
+  extension = extension.toLowerCase();
+  if (!extension || SERVER_SCRIPT_EXTENSIONS.includes(extension)) {
+    extension = resource.extension || extension;
+  }
+
+  // Letters of every script are kept, so names on non-Latin sites stay readable
+  stem = stem.normalize("NFC").replace(/[^\p{L}\p{M}\p{N}_-]+/gu, "_").replace(/^_+|_+$/g, "");
+  stem = truncateFileName(stem, MAX_ASSET_STEM_LENGTH, MAX_ASSET_STEM_BYTES) || "file";
+
+  return stem + "~" + getShortHash(url) + extension;
+}
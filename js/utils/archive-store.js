@@ -0,0 +1,145 @@
+// Name of the IndexedDB database shared by the service worker and the offscreen document
+const ARCHIVE_DATABASE_NAME = "project-scraper";
+
+// Object store which holds the finished ZIP file until Chrome has downloaded it
+const ARCHIVE_STORE_NAME = "archives";
+
+// Object store which holds the crawl state of the running job, so it can be resumed after a restart
+const CHECKPOINT_STORE_NAME = "checkpoints";
+
+// Object store which holds the files the running job has collected so far, keyed by their path in the archive
+const CHECKPOINT_FILE_STORE_NAME = "checkpoint-files";
+
+// Key of the archive that is currently waiting to be downloaded
+const ARCHIVE_KEY = "latest";
+
+// Key of the checkpoint of the running job
+const CHECKPOINT_KEY = "latest";
+
+/**
+ * Opens the extension's IndexedDB database, creating the object stores on first use.
+ * The service worker cannot create blob URLs, so the finished archive is handed to the
+ * offscreen document through this database. It also holds the checkpoint of the running job.
+ *
+ * @returns {Promise<IDBDatabase>} - A promise that resolves with the opened database.
+ */
+function openArchiveDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(ARCHIVE_DATABASE_NAME, 2);
+    request.onupgradeneeded = (event) => {
+      const database = request.result;
+      if (event.oldVersion < 1) {
+        database.createObjectStore(ARCHIVE_STORE_NAME);
+      }
+      if (event.oldVersion < 2) {
+        database.createObjectStore(CHECKPOINT_STORE_NAME);
+        database.createObjectStore(CHECKPOINT_FILE_STORE_NAME, { keyPath: "path" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs requests against the archive object store and resolves with the result of the last one.
+ *
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {Function} callback - Receives the object store and returns the IDBRequest to wait for.
+ * @param {string|Array<string>} storeNames - The object stores the transaction covers; with several
+ * stores the callback receives the transaction instead.
+ * @returns {Promise<*>} - A promise that resolves with the result of the request.
+ */
+async function withArchiveStore(mode, callback, storeNames = ARCHIVE_STORE_NAME) {
+  const database = await openArchiveDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeNames, mode);
+    const request = callback(
+      Array.isArray(storeNames) ? transaction : transaction.objectStore(storeNames)
+    );
+    transaction.oncomplete = () => {
+      database.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      database.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Stores the generated ZIP file so the offscreen document can pick it up.
+ * @param {Blob} archive - The generated ZIP file.
+ * @returns {Promise<void>}
+ */
+function saveArchive(archive) {
+  return withArchiveStore("readwrite", (store) => store.put(archive, ARCHIVE_KEY));
+}
+
+/**
+ * Loads the ZIP file that is waiting to be downloaded.
+ * @returns {Promise<Blob|undefined>} - The stored archive, or undefined if there is none.
+ */
+function loadArchive() {
+  return withArchiveStore("readonly", (store) => store.get(ARCHIVE_KEY));
+}
+
+/**
+ * Removes the stored ZIP file once Chrome no longer needs it.
+ * @returns {Promise<void>}
+ */
+function deleteArchive() {
+  return withArchiveStore("readwrite", (store) => store.delete(ARCHIVE_KEY));
+}
+
+/**
+ * Stores the crawl state of the running job together with the files it collected since the last checkpoint.
+ * Both are written in one transaction, so the state always matches the stored files.
+ *
+ * @param {Object} state - The crawl state, which must be cloneable.
+ * @param {Array<Object>} files - The new files as `{ path, content }`.
+ * @returns {Promise<void>}
+ */
+function saveCheckpoint(state, files) {
+  return withArchiveStore(
+    "readwrite",
+    (transaction) => {
+      const fileStore = transaction.objectStore(CHECKPOINT_FILE_STORE_NAME);
+      for (const file of files) fileStore.put(file);
+      return transaction.objectStore(CHECKPOINT_STORE_NAME).put(state, CHECKPOINT_KEY);
+    },
+    [CHECKPOINT_STORE_NAME, CHECKPOINT_FILE_STORE_NAME]
+  );
+}
+
+/**
+ * Loads the crawl state of an unfinished job.
+ * @returns {Promise<Object|undefined>} - The stored state, or undefined if there is none.
+ */
+function loadCheckpoint() {
+  return withArchiveStore("readonly", (store) => store.get(CHECKPOINT_KEY), CHECKPOINT_STORE_NAME);
+}
+
+/**
+ * Loads the files an unfinished job collected.
+ * @returns {Promise<Array<Object>>} - The stored files as `{ path, content }`.
+ */
+function loadCheckpointFiles() {
+  return withArchiveStore("readonly", (store) => store.getAll(), CHECKPOINT_FILE_STORE_NAME);
+}
+
+/**
+ * Removes the crawl state and the files of the last job.
+ * @returns {Promise<void>}
+ */
+function deleteCheckpoint() {
+  return withArchiveStore(
+    "readwrite",
+    (transaction) => {
+      transaction.objectStore(CHECKPOINT_FILE_STORE_NAME).clear();
+      return transaction.objectStore(CHECKPOINT_STORE_NAME).clear();
+    },
+    [CHECKPOINT_STORE_NAME, CHECKPOINT_FILE_STORE_NAME]
+  );
+}
@@ -0,0 +1,165 @@
+// The limits are entered in megabytes
+const BYTES_PER_MEGABYTE = 1024 * 1024;
+
+// File types which can have their own byte limit, named after the folder they are stored in
+const BUDGET_FILE_TYPES = ["html", "css", "js", "img", "video", "audio", "subtitles", "pdf", "docs"];
+
+/**
+ * Reads a positive limit, where an empty or invalid value means there is no limit.
+ *
+ * @param {string|number} value - The value entered in the popup.
+ * @param {number} unit - The number of bytes per unit, or 1 for counts.
+ * @returns {number|null} - The limit, or null for no limit.
+ */
+function parseBudgetLimit(value, unit = 1) {
+  const number = Number(value);
+  return number > 0 ? Math.round(number * unit) : null;
+}
+
+/**
+ * Reads the per-type limits entered in the popup, like "video=200, img=50", in megabytes.
+ *
+ * @param {string} text - The limits, separated by commas or whitespace.
+ * @returns {Object} - The limit in bytes, keyed by file type.
+ * @throws {Error} - If a type is unknown or a limit is not a positive number.
+ */
+function parseTypeLimits(text) {
+  const limits = {};
+
+  for (const entry of (text || "").split(/[\s,]+/).filter(Boolean)) {
+    const [type, value] = entry.split("=");
+    if (!BUDGET_FILE_TYPES.includes(type)) {
+      throw new Error(`Unknown file type "${type}", use one of: ${BUDGET_FILE_TYPES.join(", ")}`);
+    }
+
+    const limit = parseBudgetLimit(value, BYTES_PER_MEGABYTE);
+    if (limit === null) throw new Error(`Invalid limit for ${type}: "${value}"`);
+    limits[type] = limit;
+  }
+
+  return limits;
+}
+
+/**
+ * Creates the budget of a job, which limits how many pages and bytes end up in the archive.
+ *
+ * @param {Object} options - `maxPages`, `maxArchiveMegabytes`, `maxFileMegabytes`, `typeLimits` and
+ * `maxDocumentMegabytes`, the size cap of linked documents, as entered in the popup; empty values mean no limit.
+ * @returns {Object} - The new budget.
+ */
+function createCrawlBudget({
+  maxPages,
+  maxArchiveMegabytes,
+  maxFileMegabytes,
+  typeLimits,
+  maxDocumentMegabytes,
+} = {}) {
+  const maxTypeFileBytes = {};
+  const maxDocumentBytes = parseBudgetLimit(maxDocumentMegabytes, BYTES_PER_MEGABYTE);
+  if (maxDocumentBytes) maxTypeFileBytes.docs = maxDocumentBytes;
+
+  return {
+    maxPages: parseBudgetLimit(maxPages),
+    maxTotalBytes: parseBudgetLimit(maxArchiveMegabytes, BYTES_PER_MEGABYTE),
+    maxFileBytes: parseBudgetLimit(maxFileMegabytes, BYTES_PER_MEGABYTE),
+    maxTypeFileBytes,
+    maxTypeBytes: parseTypeLimits(typeLimits),
+    totalBytes: 0,
+    typeBytes: {},
+  };
+}
+
+/**
+ * Checks if the budget limits the size of files, in which case sizes are worth asking for up front.
+ *
+ * @param {Object} budget - The budget returned by createCrawlBudget.
+ * @returns {boolean} - Returns true if any byte limit is set.
+ */
+function hasByteLimits(budget) {
+  return Boolean(
+    budget.maxTotalBytes ||
+      budget.maxFileBytes ||
+      Object.keys(budget.maxTypeFileBytes).length ||
+      Object.keys(budget.maxTypeBytes).length
+  );
+}
+
+/**
+ * Checks if a file fits into what is left of the budget.
+ *
+ * @param {Object} budget - The budget returned by createCrawlBudget.
+ * @param {string} type - One of BUDGET_FILE_TYPES.
+ * @param {number|null} size - The size of the file in bytes, or null if it is not known yet.
+ * @returns {Object|null} - The `reason` and `detail` of the limit the file exceeds, or null if it fits.
+ */
+function checkFileBudget(budget, type, size) {
+  const knownSize = size || 0;
+  const typeLimit = budget.maxTypeBytes[type];
+  const typeBytes = budget.typeBytes[type] || 0;
+  const fileLimit = budget.maxTypeFileBytes[type];
+
+  if (budget.maxFileBytes && knownSize > budget.maxFileBytes) {
+    return {
+      reason: "max-file-size",
+      detail: `${formatBytes(knownSize)} is larger than the limit of ${formatBytes(budget.maxFileBytes)} per file`,
+    };
+  }
+  if (fileLimit && knownSize > fileLimit) {
+    return {
+      reason: "max-file-size",
+      detail: `${formatBytes(knownSize)} is larger than the limit of ${formatBytes(fileLimit)} per ${type} file`,
+    };
+  }
+  if (typeLimit && (typeBytes + knownSize > typeLimit || typeBytes >= typeLimit)) {
+    return {
+      reason: "max-type-bytes",
+      detail: `The limit of ${formatBytes(typeLimit)} for ${type} files is used up`,
+    };
+  }
+  if (
+    budget.maxTotalBytes &&
+    (budget.totalBytes + knownSize > budget.maxTotalBytes || budget.totalBytes >= budget.maxTotalBytes)
+  ) {
+    return {
+      reason: "max-archive-bytes",
+      detail: `The limit of ${formatBytes(budget.maxTotalBytes)} for the archive is used up`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Checks if another page fits into the page limit of the budget.
+ *
+ * @param {Object} budget - The budget returned by createCrawlBudget.
+ * @param {number} pages - The number of pages stored or about to be stored.
+ * @returns {Object|null} - The `reason` and `detail` of the page limit, or null if another page fits.
+ */
+function checkPageBudget(budget, pages) {
+  if (!budget.maxPages || pages < budget.maxPages) return null;
+  return { reason: "max-pages", detail: `The limit of ${budget.maxPages} pages is reached` };
+}
+
+/**
+ * Adds a stored file to the bytes used by the budget.
+ *
+ * @param {Object} budget - The budget returned by createCrawlBudget.
+ * @param {string} type - One of BUDGET_FILE_TYPES.
+ * @param {number} size - The size of the file in bytes.
+ */
+function chargeBudget(budget, type, size) {
+  budget.totalBytes += size;
+  budget.typeBytes[type] = (budget.typeBytes[type] || 0) + size;
+}
+
+/**
+ * Formats a number of bytes for the report.
+ *
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} - The size in B, KB or MB.
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < BYTES_PER_MEGABYTE) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / BYTES_PER_MEGABYTE).toFixed(1)} MB`;
+}
@@ -0,0 +1,106 @@
+// The scopes a crawl can be restricted to, with the description used in the job report
+const CRAWL_SCOPES = {
+  host: "Same host",
+  domain: "Same domain and its subdomains",
+  origin: "Same origin",
+  path: "Under a path prefix",
+};
+
+// Second-level labels that are commonly registered under country-code TLDs (e.g. "co.uk", "org.za").
+// This is an approximation of the Public Suffix List, which is too large to ship with the extension.
+const SECOND_LEVEL_LABELS = ["ac", "co", "com", "edu", "go", "gob", "gov", "ne", "net", "or", "org", "sch"];
+
+/**
+ * Returns the registrable domain of a host name, e.g. "news.example.co.uk" becomes "example.co.uk".
+ *
+ * @param {string} hostname - The host name to reduce.
+ * @returns {string} - The registrable domain, or the host name itself for IP addresses and single labels.
+ */
+function getRegistrableDomain(hostname) {
+  // IP addresses have no registrable domain
+  if (/^[\d.]+$/.test(hostname) || hostname.includes(":")) return hostname;
+
+  const labels = hostname.split(".");
+  if (labels.length <= 2) return hostname;
+
+  const topLevel = labels[labels.length - 1];
+  const secondLevel = labels[labels.length - 2];
+  const suffixLength =
+    topLevel.length === 2 && SECOND_LEVEL_LABELS.includes(secondLevel) ? 2 : 1;
+
+  return labels.slice(-(suffixLength + 1)).join(".");
+}
+
+/**
+ * Returns the path prefix of a path scope. Without an explicit prefix, the folder of the
+ * seed URL is used, so "https://site.org/docs/intro" is limited to "/docs/".
+ *
+ * @param {Object} scope - The crawl scope.
+ * @param {URL} seed - The URL the crawl started from.
+ * @returns {string} - The path prefix every page has to start with.
+ */
+function getScopePathPrefix(scope, seed) {
+  let prefix = (scope.pathPrefix || "").trim();
+  if (!prefix) return seed.pathname.substring(0, seed.pathname.lastIndexOf("/") + 1);
+  if (!prefix.startsWith("/")) prefix = "/" + prefix;
+  return prefix;
+}
+
+/**
+ * Checks whether a URL is inside the scope of the crawl that started from the seed URL.
+ *
+ * @param {string} url - The URL to check.
+ * @param {string} seedUrl - The URL the crawl started from.
+ * @param {Object|null} scope - The crawl scope, `mode` is one of CRAWL_SCOPES. Null allows every URL.
+ * @returns {boolean} - Returns true if the URL may be crawled.
+ */
+function isInScope(url, seedUrl, scope) {
+  if (!scope) return true;
+
+  const target = new URL(url);
+  const seed = new URL(seedUrl);
+
+  switch (scope.mode) {
+    case "host":
+      return target.hostname === seed.hostname;
+    case "domain":
+      return (
+        getRegistrableDomain(target.hostname) ===
+        getRegistrableDomain(seed.hostname)
+      );
+    case "origin":
+      return target.origin === seed.origin;
+    case "path":
+      return (
+        target.origin === seed.origin &&
+        target.pathname.startsWith(getScopePathPrefix(scope, seed))
+      );
+    default:
+      return true;
+  }
+}
+
+/**
+ * Describes the crawl scope for the job report.
+ *
+ * @param {string} seedUrl - The URL the crawl started from.
+ * @param {Object|null} scope - The crawl scope.
+ * @returns {string} - A readable description such as "Same host (www.example.org)".
+ */
+function describeScope(seedUrl, scope) {
+  if (!scope) return "Unrestricted";
+
+  const seed = new URL(seedUrl);
+  switch (scope.mode) {
+    case "host":
+      return `${CRAWL_SCOPES.host} (${seed.hostname})`;
+    case "domain":
+      return `${CRAWL_SCOPES.domain} (${getRegistrableDomain(seed.hostname)})`;
+    case "origin":
+      return `${CRAWL_SCOPES.origin} (${seed.origin})`;
+    case "path":
+      return `${CRAWL_SCOPES.path} (${seed.origin}${getScopePathPrefix(scope, seed)})`;
+    default:
+      return "Unrestricted";
+  }
+}
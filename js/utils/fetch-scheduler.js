@@ -0,0 +1,172 @@
+// Default limits for parallel downloads, below Chrome's own limit of six connections per host
+const DEFAULT_MAX_CONCURRENT_FETCHES = 6;
+const DEFAULT_MAX_FETCHES_PER_HOST = 4;
+
+/**
+ * Creates a download scheduler which limits how many requests run at the same time,
+ * in total and per host, and how soon requests to a host follow each other.
+ *
+ * @param {Object} limits - `maxConcurrent` requests in total and `maxPerHost` requests per host.
+ * @returns {Object} - The new scheduler.
+ */
+function createFetchScheduler({ maxConcurrent, maxPerHost } = {}) {
+  return {
+    maxConcurrent: Math.max(1, Number(maxConcurrent) || DEFAULT_MAX_CONCURRENT_FETCHES),
+    maxPerHost: Math.max(1, Number(maxPerHost) || DEFAULT_MAX_FETCHES_PER_HOST),
+    active: 0,
+    activePerHost: new Map(),
+    hostDelays: new Map(),
+    lastStartTimes: new Map(),
+    wakeTimer: null,
+    wakeTime: Infinity,
+    waiting: [],
+    paused: false,
+    cancelled: false,
+  };
+}
+
+/**
+ * Runs a request as soon as the scheduler's limits allow it. Requests start in the order they
+ * were scheduled, except that a request to a busy host lets requests to other hosts go first.
+ *
+ * @param {Object} scheduler - The scheduler returned by createFetchScheduler.
+ * @param {string} url - The URL of the request, whose host is limited.
+ * @param {Function} task - Performs the request and returns a promise.
+ * @param {number} startTime - The time in milliseconds since the epoch the request may start at, e.g. for a
+ * retry, which does not hold a place while it waits. 0 to start it as soon as possible.
+ * @returns {Promise<*>} - A promise that settles with the result of the task.
+ */
+function scheduleFetch(scheduler, url, task, startTime = 0) {
+  let host = "";
+  try {
+    host = new URL(url).host;
+  } catch (error) {
+    // Invalid URLs fail inside the task, they only need a slot
+  }
+
+  return new Promise((resolve, reject) => {
+    if (scheduler.cancelled) {
+      reject(new Error("The job was cancelled"));
+      return;
+    }
+    scheduler.waiting.push({ host, task, startTime, resolve, reject });
+    startScheduledFetches(scheduler);
+  });
+}
+
+/**
+ * Spaces out the requests to a host, e.g. by the Crawl-delay its robots.txt asks for. Every request
+ * to the host waits until the delay has passed since the previous one started.
+ *
+ * @param {Object} scheduler - The scheduler returned by createFetchScheduler.
+ * @param {string} host - The host, e.g. "example.org:8080".
+ * @param {number} delay - The delay in milliseconds, 0 for none.
+ */
+function setHostDelay(scheduler, host, delay) {
+  if (delay > 0) scheduler.hostDelays.set(host, delay);
+  else scheduler.hostDelays.delete(host);
+}
+
+/**
+ * Starts the waiting requests the limits allow. Requests which may not start yet, like retries or
+ * requests to a host whose delay has not passed, are started by a timer once they may.
+ *
+ * @param {Object} scheduler - The scheduler returned by createFetchScheduler.
+ */
+function startScheduledFetches(scheduler) {
+  if (scheduler.paused) return;
+
+  const now = Date.now();
+  let wakeTime = Infinity;
+
+  for (let index = 0; index < scheduler.waiting.length; ) {
+    if (scheduler.active >= scheduler.maxConcurrent) return;
+
+    const request = scheduler.waiting[index];
+    const activeForHost = scheduler.activePerHost.get(request.host) || 0;
+    if (activeForHost >= scheduler.maxPerHost) {
+      index++;
+      continue;
+    }
+
+    const delay = scheduler.hostDelays.get(request.host) || 0;
+    const startTime = Math.max(request.startTime, (scheduler.lastStartTimes.get(request.host) || 0) + delay);
+    if (startTime > now) {
+      wakeTime = Math.min(wakeTime, startTime);
+      index++;
+      continue;
+    }
+
+    scheduler.waiting.splice(index, 1);
+    scheduler.active++;
+    scheduler.activePerHost.set(request.host, activeForHost + 1);
+    scheduler.lastStartTimes.set(request.host, now);
+
+    Promise.resolve()
+      .then(request.task)
+      .then(request.resolve, request.reject)
+      .finally(() => {
+        scheduler.active--;
+        const remaining = scheduler.activePerHost.get(request.host) - 1;
+        if (remaining > 0) scheduler.activePerHost.set(request.host, remaining);
+        else scheduler.activePerHost.delete(request.host);
+        startScheduledFetches(scheduler);
+      });
+  }
+
+  wakeScheduledFetches(scheduler, wakeTime);
+}
+
+/**
+ * Runs startScheduledFetches again at the given time, unless a timer wakes the scheduler before.
+ *
+ * @param {Object} scheduler - The scheduler returned by createFetchScheduler.
+ * @param {number} wakeTime - The time in milliseconds since the epoch, Infinity for none.
+ */
+function wakeScheduledFetches(scheduler, wakeTime) {
+  if (wakeTime === Infinity || (scheduler.wakeTimer && scheduler.wakeTime <= wakeTime)) return;
+
+  clearTimeout(scheduler.wakeTimer);
+  scheduler.wakeTime = wakeTime;
+  scheduler.wakeTimer = setTimeout(() => {
+    scheduler.wakeTimer = null;
+    scheduler.wakeTime = Infinity;
+    startScheduledFetches(scheduler);
+  }, wakeTime - Date.now());
+}
+
+/**
+ * Stops starting new requests. Requests that already started are allowed to finish.
+ *
+ * @param {Object} scheduler - The scheduler returned by createFetchScheduler.
+ */
+function pauseFetches(scheduler) {
+  scheduler.paused = true;
+}
+
+/**
+ * Starts the requests that waited while the scheduler was paused.
+ *
+ * @param {Object} scheduler - The scheduler returned by createFetchScheduler.
+ */
+function resumeFetches(scheduler) {
+  scheduler.paused = false;
+  startScheduledFetches(scheduler);
+}
+
+/**
+ * Rejects every waiting request and every request scheduled afterwards.
+ * Requests that already started are allowed to finish.
+ *
+ * @param {Object} scheduler - The scheduler returned by createFetchScheduler.
+ */
+function cancelFetches(scheduler) {
+  scheduler.cancelled = true;
+  scheduler.paused = false;
+  clearTimeout(scheduler.wakeTimer);
+  scheduler.wakeTimer = null;
+
+  for (const request of scheduler.waiting.splice(0)) {
+    request.reject(new Error("The job was cancelled"));
+  }
+}
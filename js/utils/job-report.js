@@ -0,0 +1,52 @@
+/**
+ * Creates the report of a job. The report is stored as report.json in the archive and
+ * summarizes the settings of the job, every link that was skipped, every download that failed,
+ * every file that did not fit the budget and every page that was stored under another URL.
+ *
+ * @param {Object} settings - The settings of the job which are worth recording.
+ * @returns {Object} - The new job report.
+ */
+function createJobReport(settings) {
+  return {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    cancelled: false,
+    ...settings,
+    pages: 0,
+    sitemaps: [],
+    skipped: [],
+    failed: [],
+    dropped: [],
+    aliases: [],
+  };
+}
+
+/**
+ * Records a link the crawler decided not to follow. Each link is only recorded once per reason.
+ *
+ * @param {Object} report - The job report.
+ * @param {string} url - The skipped URL.
+ * @param {string} reason - A short machine-readable reason, e.g. "scope".
+ * @param {string} detail - A readable explanation of the decision.
+ */
+function recordSkippedLink(report, url, reason, detail) {
+  const alreadyRecorded = report.skipped.some(
+    (entry) => entry.url === url && entry.reason === reason
+  );
+  if (!alreadyRecorded) report.skipped.push({ url, reason, detail });
+}
+
+/**
+ * Records a page or file that was left out because it did not fit the budget of the job.
+ *
+ * @param {Object} report - The job report.
+ * @param {string} url - The URL of the dropped page or file.
+ * @param {string} type - The type of the file, e.g. "img".
+ * @param {string} reason - The limit that was reached, e.g. "max-file-size".
+ * @param {string} detail - A readable explanation of the decision.
+ */
+function recordDroppedFile(report, url, type, reason, detail) {
+  if (!report.dropped.some((entry) => entry.url === url)) {
+    report.dropped.push({ url, type, reason, detail });
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Escapes text so it can be placed inside HTML content or attribute values.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Builds the landing page stored as index.html at the root of an archive.
+ * The page is self-contained so it works offline without any other file of the archive.
+ *
+ * @param {Object} landingPage - The `title` of the archive, the `capturedAt` date, the `sources`
+ * the archive was captured from, the page `entries` to link to and the downloaded `documents`, each
+ * with its `title`, source `url` and `path` inside the archive.
+ * @returns {string} - The HTML of the landing page.
+ */
+function buildLandingPage({ title, capturedAt, sources = [], entries, documents = [] }) {
+  const sourceLinks = sources
+    .map((source) => `<a href="${escapeHTML(source)}">${escapeHTML(source)}</a>`)
+    .join(", ");
+
+  const listItems = (list) =>
+    list
+      .map(
+        (entry) => `      <li>
+        <a href="${escapeHTML(entry.path)}">${escapeHTML(entry.title)}</a>
+        <div class="source">${escapeHTML(entry.url)}</div>
+      </li>`
+      )
+      .join("\n");
+
+  // Documents only get their own list when there are any
+  const documentList = documents.length
+    ? `
+    <p>${documents.length} document${documents.length === 1 ? "" : "s"} in this archive:</p>
+    <ul>
+${listItems(documents)}
+    </ul>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${escapeHTML(title)}</title>
+    <style>
+      body { font-family: sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #212529; }
+      header { border-bottom: 1px solid #dee2e6; margin-bottom: 1rem; }
+      li { margin-bottom: 0.75rem; }
+      .source { color: #6c757d; font-size: 0.875rem; word-break: break-all; }
+    </style>
+  </head>
+  <body>
+    <header>
+      <h1>${escapeHTML(title)}</h1>
+      <p>Captured on ${escapeHTML(capturedAt.toLocaleString())} with Project Scraper by Grey-box.</p>
+      <p class="source">Source: ${sourceLinks}</p>
+    </header>
+    <p>${entries.length} page${entries.length === 1 ? "" : "s"} in this archive:</p>
+    <ul>
+${listItems(entries)}
+    </ul>${documentList}
+  </body>
+</html>
+`;
+}
+
+/**
+ * Builds an index.html which opens the start page of the archive right away.
+ *
+ * @param {Object} redirect - The `title` of the archive and the `path` of the start page inside the archive.
+ * @returns {string} - The HTML of the redirect page.
+ */
+function buildRedirectPage({ title, path }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta http-equiv="refresh" content="0; url=${escapeHTML(path)}" />
+    <title>${escapeHTML(title)}</title>
+  </head>
+  <body>
+    <p><a href="${escapeHTML(path)}">${escapeHTML(title)}</a></p>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Builds the page that links to pages which were not captured point at. The address of the
+ * missing page is passed in the query string, e.g. "offline.html?url=https%3A%2F%2Fexample.org".
+ *
+ * @returns {string} - The HTML of the page.
+ */
+function buildOfflinePage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Not available offline</title>
+    <style>
+      body { font-family: sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #212529; }
+      .source { color: #6c757d; word-break: break-all; }
+    </style>
+  </head>
+  <body>
+    <h1>Not available offline</h1>
+    <p>This page was not downloaded with the archive. You can open it on the live site when you are online:</p>
+    <p><a id="source" class="source"></a></p>
+    <p><a href="javascript:history.back()">Go back</a></p>
+    <script>
+      const url = new URLSearchParams(location.search).get("url");
+      const link = document.getElementById("source");
+      if (url && /^https?:\/\//.test(url)) {
+        link.href = url;
+        link.textContent = url;
+      }
+    </script>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Builds the placeholder which replaces a frame from outside the crawl scope.
+ *
+ * @param {Object} placeholder - The `text` to show, the `url` of the frame and the frame's `title`,
+ * `width` and `height` attributes, which may be missing.
+ * @returns {string} - The HTML of the placeholder.
+ */
+function buildFramePlaceholder({ text, url, title, width, height }) {
+  const heading = title ? `<strong>${escapeHTML(title)}</strong><br />` : "";
+
+  return `<div class="scraper-frame-placeholder" style="${getPlaceholderStyle(width, height)}">
+  <p>${heading}${escapeHTML(text)}</p>
+  <p><a href="${escapeHTML(url)}" target="_blank" rel="external noopener">${escapeHTML(new URL(url).hostname)}</a></p>
+</div>`;
+}
+
+/**
+ * Builds the card which replaces an embedded video player, like a YouTube video, which cannot play offline.
+ *
+ * @param {Object} card - The `title` and `provider` of the video, the `url` to watch it at, the path of the
+ * downloaded `thumbnail` relative to the page, which may be missing, and the frame's `width` and `height`.
+ * @returns {string} - The HTML of the card.
+ */
+function buildVideoPlaceholder({ title, provider, url, thumbnail, width, height }) {
+  const link = (content) => `<a href="${escapeHTML(url)}" target="_blank" rel="external noopener">${content}</a>`;
+  const image = thumbnail
+    ? `  ${link(`<img src="${escapeHTML(thumbnail)}" alt="" style="display: block; width: 100%; height: auto" />`)}\n`
+    : "";
+
+  return `<div class="scraper-video-placeholder" style="${getPlaceholderStyle(width, height)}">
+${image}  <p><strong>${escapeHTML(title)}</strong><br />A ${escapeHTML(provider)} video, which plays online only. Watch it when you are online:</p>
+  <p>${link(escapeHTML(url))}</p>
+</div>`;
+}
+
+/**
+ * Styles a placeholder like a box of the size of the frame it replaces, where the page gives one,
+ * so the layout of the page stays the same.
+ *
+ * @param {string} width - The width attribute of the frame, which may be missing.
+ * @param {string} height - The height attribute of the frame, which may be missing.
+ * @returns {string} - The value of the placeholder's style attribute.
+ */
+function getPlaceholderStyle(width, height) {
+  const styles = [
+    "box-sizing: border-box",
+    "display: inline-block",
+    "max-width: 100%",
+    "padding: 1rem",
+    "border: 1px dashed #adb5bd",
+    "background: #f8f9fa",
+    "color: #212529",
+    "font-family: sans-serif",
+    "vertical-align: top",
+  ];
+
+  // Frame sizes are given in pixels or percent, other values are left to the page
+  const toLength = (value) => (/^\d+$/.test(value) ? value + "px" : /^\d+%$/.test(value) ? value : null);
+  if (toLength(width || "")) styles.push(`width: ${toLength(width)}`);
+  if (toLength(height || "")) styles.push(`min-height: ${toLength(height)}`);
+
+  return styles.join("; ");
+}
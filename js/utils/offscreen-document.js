@@ -0,0 +1,95 @@
+// Path of the offscreen document which gives the service worker access to DOMParser and blob URLs
+const OFFSCREEN_DOCUMENT_PATH = "html/offscreen.html";
+
+// Holds the pending creation so concurrent callers do not try to create the document twice
+let creatingOffscreenDocument = null;
+
+/**
+ * Makes sure the offscreen document exists. Chrome only allows one offscreen document per
+ * extension, so an existing one is reused.
+ *
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)],
+  });
+  if (contexts.length > 0) return;
+
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ["DOM_PARSER", "BLOBS"],
+      justification: "Parse scraped pages and hand the finished archive to the downloads API",
+    });
+  }
+
+  try {
+    await creatingOffscreenDocument;
+  } finally {
+    creatingOffscreenDocument = null;
+  }
+}
+
+/**
+ * Sends a request to the offscreen document and waits for its answer.
+ *
+ * @param {string} type - The name of the operation, e.g. "parse-html".
+ * @param {Object} data - The payload of the operation.
+ * @returns {Promise<Object>} - The response of the offscreen document.
+ */
+async function sendToOffscreen(type, data = {}) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: "offscreen", type, data });
+  if (response && response.error) throw new Error(response.error);
+  return response;
+}
+
+/**
+ * Parses an HTML page in the offscreen document and collects the elements matching each query.
+ * Every matched element is tagged so edits can be applied to it later with rewriteDocument.
+ *
+ * @param {string} html - The HTML content of the page.
+ * @param {string} inputUrl - The URL of the page, used to resolve relative paths.
+ * @param {Object<string, string>} queries - CSS selectors keyed by the name the matches are returned under.
+ * @returns {Promise<Object>} - The page object with its tagged HTML, title, matches and an empty list of edits.
+ */
+async function parseDocument(html, inputUrl, queries) {
+  const parsed = await sendToOffscreen("parse-html", { html, queries });
+  return {
+    url: inputUrl,
+    html: parsed.html,
+    title: parsed.title,
+    matches: parsed.matches,
+    edits: [],
+  };
+}
+
+/**
+ * Records a change to an element of a parsed page. Changes are applied all at once by rewriteDocument.
+ *
+ * @param {Object} page - The page returned by parseDocument.
+ * @param {Object} element - One of the page's matched elements.
+ * @param {Object} changes - Any of `attributes` (name to value, null removes it), `text` or `outerHTML`.
+ */
+function editElement(page, element, changes) {
+  page.edits.push({ ref: element.ref, ...changes });
+}
+
+/**
+ * Applies the recorded edits of a parsed page in the offscreen document. The processors record
+ * their edits as their downloads finish, so the edits are sorted by element first to make the
+ * result independent of the order the downloads finished in.
+ *
+ * @param {Object} page - The page returned by parseDocument.
+ * @returns {Promise<string>} - The rewritten HTML.
+ */
+async function rewriteDocument(page) {
+  const edits = [...page.edits].sort((a, b) => Number(a.ref) - Number(b.ref));
+  const rewritten = await sendToOffscreen("rewrite-html", {
+    html: page.html,
+    edits,
+  });
+  return rewritten.html;
+}
@@ -0,0 +1,294 @@
+/**
+ * A kind of resource a link can lead to, each stored by its own processor in its own folder.
+ * @typedef {"page"|"pdf"|"document"|"image"|"audio"|"video"|"other"} ResourceKind
+ */
+
+// Kind and extension of the MIME types the crawl comes across
+const MIME_TYPES = {
+  "text/html": { kind: "page", extension: ".html" },
+  "application/xhtml+xml": { kind: "page", extension: ".xhtml" },
+  "text/css": { kind: "other", extension: ".css" },
+  "text/javascript": { kind: "other", extension: ".js" },
+  "text/vtt": { kind: "other", extension: ".vtt" },
+  "application/x-subrip": { kind: "other", extension: ".srt" },
+  "application/javascript": { kind: "other", extension: ".js" },
+  "application/x-javascript": { kind: "other", extension: ".js" },
+  "application/pdf": { kind: "pdf", extension: ".pdf" },
+  "text/plain": { kind: "document", extension: ".txt" },
+  "application/zip": { kind: "document", extension: ".zip" },
+  "application/x-zip-compressed": { kind: "document", extension: ".zip" },
+  "application/epub+zip": { kind: "document", extension: ".epub" },
+  "application/msword": { kind: "document", extension: ".doc" },
+  "application/vnd.ms-excel": { kind: "document", extension: ".xls" },
+  "application/vnd.ms-powerpoint": { kind: "document", extension: ".ppt" },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": { kind: "document", extension: ".docx" },
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": { kind: "document", extension: ".xlsx" },
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": { kind: "document", extension: ".pptx" },
+  "application/vnd.oasis.opendocument.text": { kind: "document", extension: ".odt" },
+  "application/vnd.oasis.opendocument.spreadsheet": { kind: "document", extension: ".ods" },
+  "application/vnd.oasis.opendocument.presentation": { kind: "document", extension: ".odp" },
+  "image/png": { kind: "image", extension: ".png" },
+  "image/jpeg": { kind: "image", extension: ".jpg" },
+  "image/gif": { kind: "image", extension: ".gif" },
+  "image/webp": { kind: "image", extension: ".webp" },
+  "image/avif": { kind: "image", extension: ".avif" },
+  "image/svg+xml": { kind: "image", extension: ".svg" },
+  "image/bmp": { kind: "image", extension: ".bmp" },
+  "image/x-icon": { kind: "image", extension: ".ico" },
+  "image/vnd.microsoft.icon": { kind: "image", extension: ".ico" },
+  "audio/mpeg": { kind: "audio", extension: ".mp3" },
+  "audio/mp4": { kind: "audio", extension: ".m4a" },
+  "audio/ogg": { kind: "audio", extension: ".ogg" },
+  "audio/wav": { kind: "audio", extension: ".wav" },
+  "audio/x-wav": { kind: "audio", extension: ".wav" },
+  "audio/webm": { kind: "audio", extension: ".weba" },
+  "audio/flac": { kind: "audio", extension: ".flac" },
+  "audio/aac": { kind: "audio", extension: ".aac" },
+  "video/mp4": { kind: "video", extension: ".mp4" },
+  "video/webm": { kind: "video", extension: ".webm" },
+  "video/ogg": { kind: "video", extension: ".ogv" },
+  "video/quicktime": { kind: "video", extension: ".mov" },
+  "video/x-msvideo": { kind: "video", extension: ".avi" },
+};
+
+// Kind of a resource by the extension of its file name, for links which have not been fetched yet
+const EXTENSION_KINDS = {
+  ".html": "page",
+  ".htm": "page",
+  ".xhtml": "page",
+  ".pdf": "pdf",
+  ".txt": "document",
+  ".zip": "document",
+  ".epub": "document",
+  ".doc": "document",
+  ".docx": "document",
+  ".xls": "document",
+  ".xlsx": "document",
+  ".ppt": "document",
+  ".pptx": "document",
+  ".odt": "document",
+  ".ods": "document",
+  ".odp": "document",
+  ".png": "image",
+  ".jpg": "image",
+  ".jpeg": "image",
+  ".gif": "image",
+  ".webp": "image",
+  ".avif": "image",
+  ".svg": "image",
+  ".bmp": "image",
+  ".ico": "image",
+  ".mp3": "audio",
+  ".m4a": "audio",
+  ".ogg": "audio",
+  ".oga": "audio",
+  ".wav": "audio",
+  ".weba": "audio",
+  ".flac": "audio",
+  ".aac": "audio",
+  ".mp4": "video",
+  ".m4v": "video",
+  ".webm": "video",
+  ".ogv": "video",
+  ".mov": "video",
+  ".avi": "video",
+};
+
+// Servers which do not know better send these for every download, so they do not tell the kind
+const GENERIC_MIME_TYPES = ["application/octet-stream", "binary/octet-stream", "application/force-download"];
+
+// Extensions of scripts which generate files, like download.php?file=3, which say nothing about the file itself
+const SERVER_SCRIPT_EXTENSIONS = [".php", ".asp", ".aspx", ".jsp", ".cgi", ".pl"];
+
+// Documents the linked documents processor downloads unless the popup lists others
+const DEFAULT_DOCUMENT_TYPES = [".docx", ".xlsx", ".pptx", ".odt", ".epub", ".txt", ".zip"];
+
+// How many bytes of a file classifyResource looks at
+const SNIFF_LENGTH = 1024;
+
+/**
+ * Returns the lowercased extension of a file name or of the last segment of a URL's path.
+ *
+ * @param {string} name - The file name or absolute URL.
+ * @returns {string} - The extension including the dot, or an empty string.
+ */
+function getFileExtension(name) {
+  let path = name;
+  try {
+    path = new URL(name).pathname;
+  } catch (error) {
+    // Not a URL, but a plain file name
+  }
+  const match = path.substring(path.lastIndexOf("/") + 1).match(/\.[a-z0-9]{1,5}$/i);
+  return match ? match[0].toLowerCase() : "";
+}
+
+/**
+ * Guesses the kind of a resource from its URL alone, before it is fetched.
+ *
+ * @param {string} url - The absolute URL of the resource.
+ * @returns {ResourceKind|null} - The kind, or null if the URL does not tell.
+ */
+function guessResourceKind(url) {
+  return EXTENSION_KINDS[getFileExtension(url)] || null;
+}
+
+/**
+ * Reads the file name a server suggests in its Content-Disposition header, in either of its spellings.
+ *
+ * @param {string} header - The value of the Content-Disposition header.
+ * @returns {string} - The file name, or an empty string if there is none.
+ */
+function getDispositionFileName(header) {
+  if (!header) return "";
+
+  const encoded = header.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ""));
+    } catch (error) {
+      // Fall back to the plain file name
+    }
+  }
+
+  const plain = header.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+  return plain ? (plain[2] !== undefined ? plain[2] : plain[1]).trim() : "";
+}
+
+/**
+ * Recognizes the kind of a file by its first bytes, which is the only reliable hint for files
+ * served as application/octet-stream or under a misleading name.
+ *
+ * @param {Uint8Array} bytes - The first bytes of the file.
+ * @returns {Object|null} - The `kind` and `extension` of the file, or null if the bytes are not recognized.
+ */
+function sniffResource(bytes) {
+  const text = String.fromCharCode(...bytes.subarray(0, SNIFF_LENGTH));
+  const startsWith = (signature, offset = 0) => text.startsWith(signature, offset);
+
+  if (startsWith("%PDF-")) return { kind: "pdf", extension: ".pdf" };
+
+  // EPUB and OpenDocument files are ZIP files which start with a "mimetype" entry naming their type
+  if (startsWith("PK\x03\x04")) {
+    const mimeType = startsWith("mimetype", 30) ? text.substring(38, 38 + 80).match(/^[\w.+/-]+/) : null;
+    if (mimeType && MIME_TYPES[mimeType[0]]) return { ...MIME_TYPES[mimeType[0]] };
+    if (text.includes("word/")) return { kind: "document", extension: ".docx" };
+    if (text.includes("xl/")) return { kind: "document", extension: ".xlsx" };
+    if (text.includes("ppt/")) return { kind: "document", extension: ".pptx" };
+    return { kind: "document", extension: ".zip" };
+  }
+
+  // Word, Excel and PowerPoint files from before 2007 share one container format
+  if (startsWith("\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1")) return { kind: "document", extension: "" };
+
+  if (startsWith("\x89PNG")) return { kind: "image", extension: ".png" };
+  if (startsWith("\xff\xd8\xff")) return { kind: "image", extension: ".jpg" };
+  if (startsWith("GIF87a") || startsWith("GIF89a")) return { kind: "image", extension: ".gif" };
+  if (startsWith("RIFF") && startsWith("WEBP", 8)) return { kind: "image", extension: ".webp" };
+  if (startsWith("RIFF") && startsWith("WAVE", 8)) return { kind: "audio", extension: ".wav" };
+  if (startsWith("RIFF") && startsWith("AVI ", 8)) return { kind: "video", extension: ".avi" };
+  if (startsWith("ID3") || /^\xff[\xe2\xe3\xf2\xf3\xfa\xfb]/.test(text)) return { kind: "audio", extension: ".mp3" };
+  if (startsWith("fLaC")) return { kind: "audio", extension: ".flac" };
+  if (startsWith("\x1a\x45\xdf\xa3")) return { kind: "video", extension: ".webm" };
+
+  // MP4 files name their brand after "ftyp", audio-only ones use M4A or M4B
+  if (startsWith("ftyp", 4)) {
+    const brand = text.substring(8, 12);
+    if (brand === "M4A " || brand === "M4B ") return { kind: "audio", extension: ".m4a" };
+    if (brand === "qt  ") return { kind: "video", extension: ".mov" };
+    return { kind: "video", extension: ".mp4" };
+  }
+
+  // Pages may start with a UTF-8 byte order mark
+  const start = text.replace(/^\xef\xbb\xbf/, "").trimStart().toLowerCase();
+  if (/^<(!doctype html|html|head|body)[\s>]/.test(start)) return { kind: "page", extension: ".html" };
+  if (/^(<\?xml[^>]*>\s*)?<svg[\s>]/.test(start)) return { kind: "image", extension: ".svg" };
+
+  return null;
+}
+
+/**
+ * Decides whether a fetched resource is a page, document, image, audio or video. The first bytes
+ * are trusted most, then the Content-Type, then the extension of the file name the server suggests
+ * in its Content-Disposition header, and last the extension of the URL.
+ *
+ * @param {Object} resource - The `url` of the resource and the `contentType`, `contentDisposition`
+ * and first `bytes` of the response, any of which may be missing.
+ * @returns {Object} - The `kind` (a ResourceKind), the `mimeType` the server sent, the
+ * `extension` the file should be stored with and the `fileName` the server suggested.
+ */
+function classifyResource({ url, contentType = "", contentDisposition = "", bytes = null }) {
+  const mimeType = (contentType || "").split(";")[0].trim().toLowerCase();
+  const fileName = getDispositionFileName(contentDisposition);
+  const nameExtension = getFileExtension(fileName) || getFileExtension(url);
+  const known = { mimeType, fileName };
+
+  const sniffed = bytes ? sniffResource(bytes) : null;
+  if (sniffed) {
+    // Containers like ZIP and the old Office format are named better by the server
+    const extension =
+      sniffed.kind === "document" && EXTENSION_KINDS[nameExtension] === "document"
+        ? nameExtension
+        : sniffed.extension || (MIME_TYPES[mimeType] || {}).extension || nameExtension;
+    return { ...known, kind: sniffed.kind, extension };
+  }
+
+  if (mimeType && !GENERIC_MIME_TYPES.includes(mimeType)) {
+    const type = MIME_TYPES[mimeType];
+    if (type) return { ...known, ...type };
+
+    const family = mimeType.split("/")[0];
+    if (["image", "audio", "video"].includes(family)) {
+      return { ...known, kind: family, extension: nameExtension };
+    }
+    return { ...known, kind: "other", extension: nameExtension };
+  }
+
+  // Addresses without any hint, like most pages, are taken for pages
+  let kind = EXTENSION_KINDS[nameExtension];
+  if (!kind) kind = nameExtension && !SERVER_SCRIPT_EXTENSIONS.includes(nameExtension) ? "other" : "page";
+  return { ...known, kind, extension: nameExtension };
+}
+
+/**
+ * Reads the list of linked documents to download, as entered in the popup: extensions like ".docx"
+ * and MIME types like "application/zip", separated by commas or whitespace.
+ *
+ * @param {string} text - The list, or an empty string for DEFAULT_DOCUMENT_TYPES.
+ * @returns {Object} - The `extensions` and `mimeTypes` to download.
+ */
+function parseDocumentTypes(text) {
+  let entries = (text || "")
+    .split(/[\s,]+/)
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  if (!entries.length) entries = DEFAULT_DOCUMENT_TYPES;
+
+  const documentTypes = { extensions: [], mimeTypes: [] };
+  for (const entry of entries) {
+    if (entry.includes("/")) documentTypes.mimeTypes.push(entry);
+    else documentTypes.extensions.push(entry.startsWith(".") ? entry : "." + entry);
+  }
+
+  // Listing an extension also accepts the MIME types servers send for it
+  for (const [mimeType, type] of Object.entries(MIME_TYPES)) {
+    if (documentTypes.extensions.includes(type.extension) && !documentTypes.mimeTypes.includes(mimeType)) {
+      documentTypes.mimeTypes.push(mimeType);
+    }
+  }
+  return documentTypes;
+}
+
+/**
+ * Checks if a classified resource is one of the documents to download.
+ *
+ * @param {Object} documentTypes - The list returned by parseDocumentTypes.
+ * @param {Object} resource - The `extension` and optional `mimeType` of the resource.
+ * @returns {boolean} - Returns true if the document should be downloaded.
+ */
+function isListedDocument(documentTypes, { extension, mimeType }) {
+  return (
+    documentTypes.extensions.includes(extension) ||
+    Boolean(mimeType && documentTypes.mimeTypes.includes(mimeType))
+  );
+}
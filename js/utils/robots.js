@@ -0,0 +1,198 @@
+// The longest Crawl-delay honored in seconds, so a single host cannot stall a job for hours
+const MAX_CRAWL_DELAY = 60;
+
+/**
+ * Parses the content of a robots.txt file.
+ *
+ * @param {string} text - The content of the robots.txt file.
+ * @returns {Object} - The `groups` of the file, each with its user agents, rules and crawl delay,
+ * and the `sitemaps` it lists.
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let currentGroup = null;
+  let lastLineWasAgent = false;
+
+  for (let line of text.split(/\r\n|\r|\n/)) {
+    // Drop comments and surrounding whitespace
+    line = line.replace(/#.*$/, "").trim();
+
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    // Consecutive user-agent lines share one group
+    if (field === "user-agent") {
+      if (!lastLineWasAgent) {
+        currentGroup = { agents: [], rules: [], crawlDelay: null };
+        groups.push(currentGroup);
+      }
+      currentGroup.agents.push(value.toLowerCase());
+      lastLineWasAgent = true;
+      continue;
+    }
+
+    // Sitemaps do not belong to any group
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    lastLineWasAgent = false;
+    if (!currentGroup) continue;
+
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) currentGroup.rules.push({ allow: field === "allow", path: value });
+    } else if (field === "crawl-delay") {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) currentGroup.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Selects the rules of a parsed robots.txt file that apply to a user-agent token. Groups naming the
+ * token are used, or the `*` group when there are none.
+ *
+ * @param {Object} robots - The result of parseRobotsTxt.
+ * @param {string} userAgent - The user-agent token, e.g. "ProjectScraper".
+ * @returns {Object} - The `rules` and `crawlDelay` (in seconds, or null) for the token.
+ */
+function selectRobotsRules(robots, userAgent) {
+  const token = userAgent.trim().toLowerCase();
+  let groups = robots.groups.filter((group) => group.agents.includes(token));
+  if (groups.length === 0) {
+    groups = robots.groups.filter((group) => group.agents.includes("*"));
+  }
+
+  const delays = groups
+    .map((group) => group.crawlDelay)
+    .filter((delay) => delay !== null);
+
+  return {
+    rules: groups.flatMap((group) => group.rules),
+    crawlDelay: delays.length > 0 ? Math.min(delays[0], MAX_CRAWL_DELAY) : null,
+  };
+}
+
+/**
+ * Converts the path of a robots.txt rule into a regular expression. `*` matches any characters
+ * and a trailing `$` anchors the rule to the end of the path.
+ *
+ * @param {string} path - The path of the rule.
+ * @returns {RegExp} - The equivalent regular expression.
+ */
+function robotsPathToRegExp(path) {
+  const anchored = path.endsWith("$");
+  if (anchored) path = path.slice(0, -1);
+
+  const source = path
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp("^" + source + (anchored ? "$" : ""));
+}
+
+/**
+ * Checks a URL against robots.txt rules. The longest matching rule wins, and Allow wins a tie.
+ *
+ * @param {string} url - The URL to check.
+ * @param {Array<Object>} rules - The rules returned by selectRobotsRules.
+ * @returns {Object|null} - The deciding rule, or null if no rule matches and the URL is allowed.
+ */
+function findRobotsRule(url, rules) {
+  const parsedUrl = new URL(url);
+  const path = parsedUrl.pathname + parsedUrl.search;
+
+  let decidingRule = null;
+  for (let rule of rules) {
+    if (!robotsPathToRegExp(rule.path).test(path)) continue;
+
+    if (
+      !decidingRule ||
+      rule.path.length > decidingRule.path.length ||
+      (rule.path.length === decidingRule.path.length && rule.allow)
+    ) {
+      decidingRule = rule;
+    }
+  }
+
+  return decidingRule;
+}
+
+/**
+ * Creates the robots.txt policy of a job, which caches the rules of every host it visits.
+ *
+ * @param {string} userAgent - The user-agent token whose rules are honored.
+ * @param {Function} fetchResource - Fetches a URL for the job, `(url, readBody)` resolves with the body
+ * read by readBody and rejects if the fetch failed.
+ * @param {Object} scheduler - The download scheduler of the job, which spaces out the requests to the
+ * hosts asking for a Crawl-delay.
+ * @returns {Object} - The new robots policy.
+ */
+function createRobotsPolicy(userAgent, fetchResource, scheduler) {
+  return {
+    userAgent: userAgent.trim() || "*",
+    fetchResource,
+    scheduler,
+    origins: new Map(),
+  };
+}
+
+/**
+ * Fetches and parses robots.txt for the origin of a URL, once per origin and job.
+ * A robots.txt which is missing or cannot be fetched after the job's retries allows everything.
+ *
+ * @param {Object} policy - The robots policy of the job.
+ * @param {string} url - Any URL of the origin.
+ * @returns {Promise<Object>} - The rules for the policy's user agent and the sitemaps of the origin.
+ */
+function getRobotsRules(policy, url) {
+  const origin = new URL(url).origin;
+
+  if (!policy.origins.has(origin)) {
+    const robotsUrl = origin + "/robots.txt";
+    const rulesPromise = policy
+      .fetchResource(robotsUrl, (response) => response.text())
+      .then((text) => {
+        const robots = parseRobotsTxt(text);
+        const rules = selectRobotsRules(robots, policy.userAgent);
+
+        // The delay applies to every request to the host, pages and files alike
+        if (rules.crawlDelay) setHostDelay(policy.scheduler, new URL(url).host, rules.crawlDelay * 1000);
+        return { ...rules, sitemaps: robots.sitemaps };
+      })
+      .catch((error) => {
+        console.error(`Failed to fetch ${robotsUrl} - Error: ${error.message}`);
+        return { rules: [], crawlDelay: null, sitemaps: [] };
+      });
+
+    policy.origins.set(origin, rulesPromise);
+  }
+
+  return policy.origins.get(origin);
+}
+
+/**
+ * Checks whether robots.txt allows the policy's user agent to crawl a URL.
+ *
+ * @param {Object} policy - The robots policy of the job.
+ * @param {string} url - The URL to check.
+ * @returns {Promise<Object>} - `allowed`, and a readable `detail` when the URL is disallowed.
+ */
+async function checkRobots(policy, url) {
+  const robots = await getRobotsRules(policy, url);
+  const rule = findRobotsRule(url, robots.rules);
+
+  if (!rule || rule.allow) return { allowed: true };
+  return {
+    allowed: false,
+    detail: `Disallowed by robots.txt rule "Disallow: ${rule.path}" for user agent "${policy.userAgent}"`,
+  };
+}
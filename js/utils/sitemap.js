@@ -0,0 +1,159 @@
+// Limits which keep a huge or looping sitemap index from stalling the job
+const MAX_SITEMAPS = 50;
+const MAX_SITEMAP_URLS = 50000;
+
+/**
+ * Finds the sitemaps of a site. The Sitemap lines of robots.txt are preferred, with
+ * /sitemap.xml as the fallback when robots.txt does not list any.
+ *
+ * @param {string} startUrl - Any URL of the site.
+ * @param {Object|null} robotsPolicy - The robots policy of the job, which already caches robots.txt.
+ * @param {Function} fetchResource - Fetches a URL for the job, `(url, readBody)` resolves with the body
+ * read by readBody and rejects if the fetch failed.
+ * @returns {Promise<Array<string>>} - The URLs of the sitemaps to read.
+ */
+async function discoverSitemaps(startUrl, robotsPolicy, fetchResource) {
+  const origin = new URL(startUrl).origin;
+  let sitemaps = [];
+
+  if (robotsPolicy) {
+    sitemaps = (await getRobotsRules(robotsPolicy, startUrl)).sitemaps;
+  } else {
+    const robotsTxt = await fetchResource(origin + "/robots.txt", (response) => response.text()).catch(() => "");
+    if (robotsTxt) sitemaps = parseRobotsTxt(robotsTxt).sitemaps;
+  }
+
+  return sitemaps.length > 0 ? sitemaps : [origin + "/sitemap.xml"];
+}
+
+/**
+ * Fetches a sitemap and returns its XML. Gzip-compressed sitemaps (sitemap.xml.gz) are recognized
+ * by their magic bytes and decompressed.
+ *
+ * @param {string} url - The URL of the sitemap.
+ * @param {Function} fetchResource - Fetches a URL for the job, as for discoverSitemaps.
+ * @returns {Promise<string>} - The XML of the sitemap; rejects if the fetch failed.
+ */
+async function fetchSitemap(url, fetchResource) {
+  const bytes = new Uint8Array(await fetchResource(url, (response) => response.arrayBuffer()));
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    const stream = new Blob([bytes])
+      .stream()
+      .pipeThrough(new DecompressionStream("gzip"));
+    return new Response(stream).text();
+  }
+
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Decodes the text of a sitemap element, which may be wrapped in CDATA or contain XML entities.
+ *
+ * @param {string} text - The raw text between the element's tags.
+ * @returns {string} - The decoded text.
+ */
+function decodeSitemapText(text) {
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1].trim();
+
+  return text
+    .trim()
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Parses a sitemap or a sitemap index. The service worker has no DOMParser, and sitemaps
+ * are simple enough to be read with regular expressions.
+ *
+ * @param {string} xml - The XML of the sitemap.
+ * @returns {Object} - `isIndex`, and the `entries` with their `loc` and optional `lastmod`.
+ */
+function parseSitemap(xml) {
+  const isIndex = /<sitemapindex[\s>]/.test(xml);
+  const entryPattern = isIndex
+    ? /<sitemap[\s>][\s\S]*?<\/sitemap>/g
+    : /<url[\s>][\s\S]*?<\/url>/g;
+
+  const entries = [];
+  for (let [entry] of xml.matchAll(entryPattern)) {
+    const loc = entry.match(/<loc>([\s\S]*?)<\/loc>/);
+    const lastmod = entry.match(/<lastmod>([\s\S]*?)<\/lastmod>/);
+    if (!loc) continue;
+
+    entries.push({
+      loc: decodeSitemapText(loc[1]),
+      lastmod: lastmod ? decodeSitemapText(lastmod[1]) : null,
+    });
+  }
+
+  return { isIndex, entries };
+}
+
+/**
+ * Checks whether a sitemap entry was modified on or after the given date. Entries without a
+ * valid <lastmod> are kept, since their age is unknown.
+ *
+ * @param {Object} entry - A sitemap entry.
+ * @param {Date|null} modifiedSince - The earliest modification date to keep, or null to keep everything.
+ * @returns {boolean} - Returns true if the entry should be kept.
+ */
+function isModifiedSince(entry, modifiedSince) {
+  if (!modifiedSince || !entry.lastmod) return true;
+
+  const lastModified = new Date(entry.lastmod);
+  return isNaN(lastModified) || lastModified >= modifiedSince;
+}
+
+/**
+ * Reads the given sitemaps, following sitemap indexes, and collects the page URLs they list.
+ *
+ * @param {Array<string>} sitemapUrls - The sitemaps to start from.
+ * @param {Date|null} modifiedSince - Only pages modified on or after this date are collected.
+ * @param {Function} fetchResource - Fetches a URL for the job, as for discoverSitemaps.
+ * @returns {Promise<Object>} - The page `urls`, the `sitemaps` that were read and the number of
+ * pages `filtered` out by their <lastmod>.
+ */
+async function collectSitemapUrls(sitemapUrls, modifiedSince, fetchResource) {
+  const queue = [...sitemapUrls];
+  const visited = new Set();
+  const urls = new Set();
+  let filtered = 0;
+
+  while (queue.length && visited.size < MAX_SITEMAPS && urls.size < MAX_SITEMAP_URLS) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    let sitemap;
+    try {
+      sitemap = parseSitemap(await fetchSitemap(sitemapUrl, fetchResource));
+    } catch (error) {
+      console.error(`Failed to read sitemap ${sitemapUrl} - Error: ${error.message}`);
+      continue;
+    }
+
+    for (let entry of sitemap.entries) {
+      if (!isModifiedSince(entry, modifiedSince)) {
+        // A nested sitemap which has not changed since the date only lists older pages
+        if (!sitemap.isIndex) filtered++;
+        continue;
+      }
+
+      let entryUrl;
+      try {
+        entryUrl = getAbsolutePath(entry.loc, sitemapUrl).href;
+      } catch (error) {
+        continue;
+      }
+
+      if (sitemap.isIndex) queue.push(entryUrl);
+      else if (urls.size < MAX_SITEMAP_URLS) urls.add(entryUrl);
+    }
+  }
+
+  return { urls: [...urls], sitemaps: [...visited], filtered };
+}
@@ -0,0 +1,86 @@
+// Which candidates of a srcset are kept: every size, only the largest, or only the smallest to save space
+const SRCSET_POLICIES = ["all", "largest", "smallest"];
+
+/**
+ * Splits a srcset attribute into its image candidates, following the parsing rules of the HTML standard.
+ * URLs may contain commas, like "w_100,h_50/photo.jpg", only commas after a URL or a descriptor separate candidates.
+ *
+ * @param {string} srcset - The value of the srcset attribute, e.g. "small.jpg 480w, large.jpg 1080w".
+ * @returns {Array<Object>} - The candidates with their `url` and `descriptor`, e.g. "480w", "2x" or "".
+ */
+function parseSrcset(srcset) {
+  const text = srcset || "";
+  const candidates = [];
+  let position = 0;
+
+  while (position < text.length) {
+    // Skip the whitespace and commas before the URL
+    position += text.slice(position).match(/^[\s,]*/)[0].length;
+    if (position >= text.length) break;
+
+    let url = text.slice(position).match(/^\S+/)[0];
+    position += url.length;
+
+    let descriptor = "";
+    if (url.endsWith(",")) {
+      // A URL ending in commas has no descriptor
+      url = url.replace(/,+$/, "");
+    } else {
+      // The descriptor runs up to the next comma outside of parentheses
+      let end = position;
+      let inParentheses = false;
+      for (; end < text.length; end++) {
+        if (text[end] === "(") inParentheses = true;
+        else if (text[end] === ")") inParentheses = false;
+        else if (text[end] === "," && !inParentheses) break;
+      }
+      descriptor = text.slice(position, end).trim().replace(/\s+/g, " ");
+      position = end + 1;
+    }
+
+    if (url) candidates.push({ url, descriptor });
+  }
+
+  return candidates;
+}
+
+/**
+ * Returns the size a candidate stands for, its width for "480w" or its pixel density for "2x".
+ *
+ * @param {Object} candidate - A candidate returned by parseSrcset.
+ * @returns {number} - The size, 1 for candidates without a descriptor, which count as "1x".
+ */
+function getSrcsetCandidateSize(candidate) {
+  const size = candidate.descriptor.match(/(?:^|\s)(\d*\.?\d+)[wx](?:\s|$)/);
+  return size ? Number(size[1]) : 1;
+}
+
+/**
+ * Picks the candidates of a srcset to keep according to the job's policy.
+ *
+ * @param {Array<Object>} candidates - The candidates returned by parseSrcset.
+ * @param {string} policy - One of SRCSET_POLICIES.
+ * @returns {Array<Object>} - The candidates to download, all of them or the single largest or smallest one.
+ */
+function selectSrcsetCandidates(candidates, policy) {
+  if (policy === "all" || candidates.length <= 1) return candidates;
+
+  const sign = policy === "largest" ? 1 : -1;
+  return [
+    candidates.reduce((best, candidate) =>
+      sign * (getSrcsetCandidateSize(candidate) - getSrcsetCandidateSize(best)) > 0 ? candidate : best
+    ),
+  ];
+}
+
+/**
+ * Joins candidates into the value of a srcset attribute.
+ *
+ * @param {Array<Object>} candidates - The candidates with their `url` and `descriptor`.
+ * @returns {string} - The srcset, e.g. "img/small~3f2a1b4c.jpg 480w, img/large~9d8e7f6a.jpg 1080w".
+ */
+function serializeSrcset(candidates) {
+  return candidates
+    .map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url))
+    .join(", ");
+}
@@ -0,0 +1,91 @@
+// The port to the service worker and the function it passes the job status to, the port is null once it was closed
+let jobStatusPort = null;
+let jobStatusListener = null;
+
+/**
+ * Connects to the service worker and calls the given function with the job status
+ * whenever it changes. The job keeps running when the window that follows it is closed,
+ * so reopening the window simply reconnects.
+ *
+ * @param {Function} onStatus - Receives the current job status.
+ * @returns {chrome.runtime.Port} - The port connected to the service worker.
+ */
+function connectToJob(onStatus) {
+  jobStatusListener = onStatus;
+  jobStatusPort = chrome.runtime.connect({ name: "job-status" });
+  jobStatusPort.onMessage.addListener(onStatus);
+
+  // The service worker stops after a while without a job, which closes the port
+  const port = jobStatusPort;
+  port.onDisconnect.addListener(() => {
+    if (jobStatusPort === port) jobStatusPort = null;
+  });
+  return port;
+}
+
+/**
+ * Connects to the service worker again if it closed the port, before a command which starts or
+ * continues a job is sent, so the progress of that job is shown.
+ */
+function reconnectToJob() {
+  if (!jobStatusPort && jobStatusListener) connectToJob(jobStatusListener);
+}
+
+/**
+ * Shows the progress and message of the job status in the current window.
+ *
+ * @param {Object} status - The job status sent by the service worker.
+ */
+function renderJobProgress(status) {
+  document.getElementById("current-progress").innerText = status.progress;
+  document.getElementById("progress-bar").style.width = status.progress;
+
+  const jobMessage = document.getElementById("job-message");
+  if (jobMessage) jobMessage.innerText = status.message;
+
+  renderJobControls(status);
+}
+
+/**
+ * Sends a command for the current job to the service worker.
+ *
+ * @param {string} type - One of "pause-job", "resume-job" and "cancel-job".
+ * @param {Object} data - The options of the command.
+ */
+function sendJobCommand(type, data = {}) {
+  reconnectToJob();
+  chrome.runtime.sendMessage({ target: "background", type, data });
+}
+
+/**
+ * Connects the Pause, Resume, Stop & Save and Cancel buttons of the current window to the job.
+ */
+function bindJobControls() {
+  document
+    .getElementById("pause-job-button")
+    .addEventListener("click", () => sendJobCommand("pause-job"));
+  document
+    .getElementById("resume-job-button")
+    .addEventListener("click", () => sendJobCommand("resume-job"));
+  document
+    .getElementById("save-job-button")
+    .addEventListener("click", () => sendJobCommand("cancel-job", { saveCollected: true }));
+  document
+    .getElementById("cancel-job-button")
+    .addEventListener("click", () => sendJobCommand("cancel-job", { saveCollected: false }));
+}
+
+/**
+ * Shows the job controls which fit the state of the job.
+ *
+ * @param {Object} status - The job status sent by the service worker.
+ */
+function renderJobControls(status) {
+  const jobControls = document.getElementById("job-controls");
+  if (!jobControls) return;
+
+  const isActive = status.state === "running" || status.state === "paused";
+  jobControls.hidden = !isActive;
+  document.getElementById("pause-job-button").hidden = status.state !== "running";
+  document.getElementById("resume-job-button").hidden = status.state !== "paused";
+}
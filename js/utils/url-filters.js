@@ -0,0 +1,100 @@
+// Prefix which marks a pattern line as a regular expression instead of a glob
+const REGEX_PATTERN_PREFIX = "regex:";
+
+/**
+ * Converts a glob into a regular expression. Only `*` is a wildcard, every other character
+ * (including `?`, which is common in URLs) is matched literally.
+ *
+ * @param {string} glob - The glob to convert.
+ * @param {boolean} anchored - Whether the glob has to match the whole value or may match a part of it.
+ * @returns {RegExp} - The equivalent regular expression.
+ */
+function globToRegExp(glob, anchored) {
+  const source = glob
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(anchored ? `^${source}$` : source);
+}
+
+/**
+ * Parses a list of URL patterns, one per line. Empty lines and lines starting with `#` are ignored.
+ *
+ * - `regex:<expression>` is a regular expression tested against the full URL.
+ * - A glob containing `://` has to match the full URL, e.g. `https://site.org/docs/*`.
+ * - A glob starting with `/` has to match the path and query, e.g. `/docs/*`.
+ * - Any other glob may match any part of the URL, e.g. `?replytocom=`.
+ *
+ * @param {string} text - The patterns as entered in the popup.
+ * @returns {Array<Object>} - The parsed patterns with their original text as `rule`.
+ * @throws {Error} - If a regular expression is invalid.
+ */
+function parseUrlPatterns(text = "") {
+  const patterns = [];
+
+  for (let line of text.split("\n")) {
+    const rule = line.trim();
+    if (!rule || rule.startsWith("#")) continue;
+
+    if (rule.startsWith(REGEX_PATTERN_PREFIX)) {
+      try {
+        patterns.push({ rule, target: "url", regex: new RegExp(rule.substring(REGEX_PATTERN_PREFIX.length)) });
+      } catch (error) {
+        throw new Error(`Invalid regular expression "${rule}": ${error.message}`);
+      }
+    } else if (rule.includes("://")) {
+      patterns.push({ rule, target: "url", regex: globToRegExp(rule, true) });
+    } else if (rule.startsWith("/")) {
+      patterns.push({ rule, target: "path", regex: globToRegExp(rule, true) });
+    } else {
+      patterns.push({ rule, target: "url", regex: globToRegExp(rule, false) });
+    }
+  }
+
+  return patterns;
+}
+
+/**
+ * Finds the first pattern matching a URL.
+ *
+ * @param {string} url - The URL to test.
+ * @param {Array<Object>} patterns - Patterns returned by parseUrlPatterns.
+ * @returns {Object|undefined} - The matching pattern, if any.
+ */
+function findMatchingPattern(url, patterns) {
+  const parsedUrl = new URL(url);
+  const path = parsedUrl.pathname + parsedUrl.search;
+
+  return patterns.find((pattern) =>
+    pattern.regex.test(pattern.target === "path" ? path : parsedUrl.href)
+  );
+}
+
+/**
+ * Checks a URL against the include and exclude patterns of a crawl. Exclude patterns win over
+ * include patterns, and without include patterns every URL is included.
+ *
+ * @param {string} url - The URL to check.
+ * @param {Object} filters - `include` and `exclude` lists returned by parseUrlPatterns.
+ * @returns {Object|null} - Null if the URL may be crawled, otherwise the `type`, `rule` and `detail` of the rejection.
+ */
+function checkUrlFilters(url, filters) {
+  const excluded = findMatchingPattern(url, filters.exclude);
+  if (excluded) {
+    return {
+      type: "exclude",
+      rule: excluded.rule,
+      detail: `Matched exclude rule "${excluded.rule}"`,
+    };
+  }
+
+  if (filters.include.length > 0 && !findMatchingPattern(url, filters.include)) {
+    return {
+      type: "include",
+      rule: null,
+      detail: "Did not match any include rule",
+    };
+  }
+
+  return null;
+}
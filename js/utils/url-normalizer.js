@@ -0,0 +1,117 @@
+// Query parameters which only track where a visitor came from and never change the page.
+// A trailing * matches every parameter starting with the text before it.
+const DEFAULT_TRACKING_PARAMS = [
+  "utm_*",
+  "gclid",
+  "dclid",
+  "fbclid",
+  "msclkid",
+  "yclid",
+  "mc_cid",
+  "mc_eid",
+  "_ga",
+  "_gl",
+  "igshid",
+];
+
+// File names web servers serve for a folder, so "/docs/index.html" is the same page as "/docs/"
+const INDEX_DOCUMENT_REGEX = /\/(index|default)\.(html?|php|aspx?)$/i;
+
+// How trailing slashes are treated: removed, added to paths without a file extension, or kept as found
+const TRAILING_SLASH_POLICIES = ["strip", "add", "keep"];
+
+/**
+ * Creates the settings of the URL normalizer.
+ *
+ * @param {Object} options - `trailingSlash` (one of TRAILING_SLASH_POLICIES), `stripIndexDocuments`
+ * and `trackingParams`, a comma or whitespace separated list which replaces DEFAULT_TRACKING_PARAMS.
+ * @returns {Object} - The settings to pass to normalizeUrl.
+ */
+function createUrlNormalization({ trailingSlash, stripIndexDocuments = true, trackingParams } = {}) {
+  const params = (trackingParams || "")
+    .split(/[\s,]+/)
+    .map((param) => param.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    trailingSlash: TRAILING_SLASH_POLICIES.includes(trailingSlash) ? trailingSlash : "strip",
+    stripIndexDocuments: stripIndexDocuments !== false,
+    trackingParams: params.length ? params : DEFAULT_TRACKING_PARAMS,
+  };
+}
+
+/**
+ * Checks if a query parameter is on the list of tracking parameters.
+ *
+ * @param {string} name - The decoded name of the parameter.
+ * @param {Array<string>} trackingParams - The tracking parameters, possibly ending in *.
+ * @returns {boolean} - Returns true if the parameter should be dropped.
+ */
+function isTrackingParam(name, trackingParams) {
+  name = name.toLowerCase();
+  return trackingParams.some((param) =>
+    param.endsWith("*") ? name.startsWith(param.slice(0, -1)) : name === param
+  );
+}
+
+/**
+ * Brings a URL into its canonical form, so different spellings of the same page or file
+ * are only downloaded once. The scheme and host are lowercased, default ports and fragments
+ * are removed, tracking parameters are dropped and the remaining parameters are sorted.
+ * Trailing slashes and index documents are handled according to the settings.
+ *
+ * @param {string} url - The absolute URL to normalize.
+ * @param {Object} normalization - The settings returned by createUrlNormalization.
+ * @returns {string} - The normalized URL, or the input unchanged if it is not a valid URL.
+ */
+function normalizeUrl(url, normalization = createUrlNormalization()) {
+  let parsedUrl;
+  try {
+    // Parsing lowercases the scheme and host and drops default ports
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  if (parsedUrl.protocol !== "http:" && parsedUrl.protocol !== "https:") return url;
+
+  parsedUrl.hash = "";
+
+  let path = parsedUrl.pathname;
+  if (normalization.stripIndexDocuments) {
+    path = path.replace(INDEX_DOCUMENT_REGEX, "/");
+  }
+  if (normalization.trailingSlash === "strip" && path.length > 1) {
+    path = path.replace(/\/+$/, "") || "/";
+  } else if (normalization.trailingSlash === "add" && !path.endsWith("/")) {
+    // Paths ending in a file name keep their form, "/logo.png/" is a different resource
+    const lastSegment = path.substring(path.lastIndexOf("/") + 1);
+    if (!lastSegment.includes(".")) path += "/";
+  }
+  parsedUrl.pathname = path;
+
+  // The parameters are compared in their encoded form, so their spelling is kept
+  const params = parsedUrl.search
+    .substring(1)
+    .split("&")
+    .filter(Boolean)
+    .filter((param) => {
+      const name = param.split("=")[0];
+      let decodedName = name;
+      try {
+        decodedName = decodeURIComponent(name.replace(/\+/g, " "));
+      } catch (error) {
+        // Malformed escapes are compared as they are
+      }
+      return !isTrackingParam(decodedName, normalization.trackingParams);
+    });
+
+  // Sort by name only, so repeated parameters keep their order
+  params.sort((a, b) => {
+    const nameA = a.split("=")[0];
+    const nameB = b.split("=")[0];
+    return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+  });
+  parsedUrl.search = params.length ? "?" + params.join("&") : "";
+
+  return parsedUrl.href;
+}
@@ -1,14 +1,171 @@
+// Default retry behaviour of getData and fetchFile
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3, // Attempts after the first one
+  baseDelay: 1000, // Delay in milliseconds before the first retry, doubled for every further retry
+  maxDelay: 30000, // Longest delay in milliseconds between two attempts
+  timeout: 30000, // Time in milliseconds a single attempt may take, including reading the body
+};
+
+// Statuses which are worth retrying; other failed responses are final
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Longest Retry-After in milliseconds that is honored, so one server cannot stall a job
+const MAX_RETRY_AFTER = 5 * 60 * 1000;
+
+/**
+ * Reads the Retry-After header of a response, which is either a number of seconds or a date.
+ *
+ * @param {Response} response - The response to read the header from.
+ * @returns {number|null} - The delay in milliseconds, or null if there is no valid header.
+ */
+function getRetryAfterDelay(response) {
+  const retryAfter = response.headers.get("Retry-After");
+  if (!retryAfter) return null;
+
+  let delay = /^\d+$/.test(retryAfter.trim())
+    ? Number(retryAfter) * 1000
+    : new Date(retryAfter) - Date.now();
+  if (isNaN(delay)) return null;
+
+  return Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+}
+
+/**
+ * Calculates the delay before a retry: an exponential backoff with random jitter, so requests
+ * that failed together do not all retry at the same moment.
+ *
+ * @param {number} attempt - The number of the failed attempt, starting at 0.
+ * @param {Object} options - The retry options.
+ * @returns {number} - The delay in milliseconds.
+ */
+function getBackoffDelay(attempt, options) {
+  const cap = Math.min(options.maxDelay, options.baseDelay * 2 ** attempt);
+  return cap / 2 + Math.random() * (cap / 2);
+}
+
+/**
+ * Fetches a URL and reads its body, retrying network errors, timeouts and temporary server errors.
+ * 429 and 503 responses are retried after the delay their Retry-After header asks for.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {Function} readBody - Reads the body of a successful response, e.g. `(response) => response.text()`.
+ * @param {Object} options - Overrides of DEFAULT_RETRY_OPTIONS, and an optional `schedule(url, task, startTime)`
+ * which runs each attempt, e.g. through a download scheduler, not before `startTime`. Nothing is held while
+ * waiting for a retry, and a rejection of `schedule` ends the retries.
+ * @returns {Promise<*>} - A promise that resolves with the body, or rejects with the reason of the last attempt.
+ */
+async function fetchWithRetry(url, readBody, options = {}) {
+  options = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const schedule = options.schedule || runAt;
+  let startTime = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const outcome = await schedule(url, () => attemptFetch(url, readBody, options), startTime);
+    if (!outcome.failure) return outcome.body;
+
+    if (!outcome.retryable || attempt >= options.retries) {
+      const attempts = attempt + 1;
+      throw new Error(`${outcome.failure.message} (${attempts} attempt${attempts > 1 ? "s" : ""})`);
+    }
+
+    const delay = outcome.retryAfter !== null ? outcome.retryAfter : getBackoffDelay(attempt, options);
+    console.log(`Retrying ${url} in ${Math.round(delay)} ms after: ${outcome.failure.message}`);
+    startTime = Date.now() + delay;
+  }
+}
+
+/**
+ * Runs a task once the given time has come, the default `schedule` of fetchWithRetry.
+ *
+ * @param {string} url - The URL the task fetches.
+ * @param {Function} task - Performs the request and returns a promise.
+ * @param {number} startTime - The time in milliseconds since the epoch, 0 to run it right away.
+ * @returns {Promise<*>} - A promise that settles with the result of the task.
+ */
+async function runAt(url, task, startTime) {
+  const delay = startTime - Date.now();
+  if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+  return task();
+}
+
+/**
+ * Makes a single attempt to fetch a URL for fetchWithRetry.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {Function} readBody - Reads the body of a successful response.
+ * @param {Object} options - The retry options, of which the `timeout` applies.
+ * @returns {Promise<Object>} - The `body` of a successful response, or the `failure`, whether it is
+ * `retryable` and the `retryAfter` delay the server asked for, which is null if it did not ask.
+ */
+async function attemptFetch(url, readBody, options) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeout);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (response.ok) return { body: await readBody(response) };
+
+    return {
+      failure: new Error(`HTTP ${response.status} ${response.statusText}`.trim()),
+      retryable: RETRYABLE_STATUSES.includes(response.status),
+      retryAfter: response.status === 429 || response.status === 503 ? getRetryAfterDelay(response) : null,
+    };
+  } catch (error) {
+    const failure =
+      error.name === "AbortError"
+        ? new Error(`Timed out after ${options.timeout / 1000} seconds`)
+        : error;
+    return { failure, retryable: true, retryAfter: null };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Decodes text in the character set named by a Content-Type header, like "text/html; charset=windows-1251".
+ *
+ * @param {ArrayBuffer} content - The bytes of the text.
+ * @param {string|null} contentType - The Content-Type header of the response.
+ * @returns {string} - The decoded text; UTF-8 is used when the header names no charset or one the browser does not know.
+ */
+function decodeText(content, contentType) {
+  const charset = (contentType || "").match(/;\s*charset\s*=\s*"?([^";\s]+)/i);
+  if (charset) {
+    try {
+      return new TextDecoder(charset[1]).decode(content);
+    } catch (error) {
+      // Unknown charsets are read as UTF-8
+    }
+  }
+  return new TextDecoder().decode(content);
+}
+
+/**
+ * Reads the body of a response as text. Unlike `response.text()`, which always decodes UTF-8, this honors
+ * the charset of the Content-Type, so pages and stylesheets in encodings like Shift_JIS stay readable.
+ *
+ * @param {Response} response - The response to read.
+ * @returns {Promise<string>} - The decoded body.
+ */
+async function readText(response) {
+  return decodeText(await response.arrayBuffer(), response.headers.get("content-type"));
+}
+
 /**
  * Asynchronous function to fetch data (like HTML, CSS, or image blobs) from a specified URL.
  * @param {string} url - The URL to fetch the data from.
- * @returns {Promise<string>} - A promise that resolves to the fetched data or error if the fetch operation fails.
+ * @param {Object} options - Overrides of DEFAULT_RETRY_OPTIONS, and an optional `onFailure(url, reason)`
+ * callback which is called once all attempts failed.
+ * @returns {Promise<string>} - A promise that resolves to the fetched data, or an empty string if the fetch operation fails.
  */
-let getData = async (url) => {
+let getData = async (url, options = {}) => {
   let result = "";
   try {
-    result = await $.get(url);
+    // fetch is used instead of jQuery so this also works inside the service worker
+    result = await fetchWithRetry(url, readText, options);
   } catch (error) {
-    console.error("Error:", error);
+    console.error(`Failed to fetch ${url} - Error: ${error.message}`);
+    if (options.onFailure) options.onFailure(url, error.message);
   }
   return new Promise((resolve, reject) => {
     resolve(result);
@@ -16,57 +173,154 @@ let getData = async (url) => {
 };
 
 /**
- * Asynchronous function to check if a URL is accessible.
+ * Asynchronous function to check if a URL is accessible, and how large its content is, without downloading it.
  * @param {string} url - The URL to be checked.
- * @returns {Promise<boolean>} - A promise that resolves to true if the URL is accessible and false otherwise.
+ * @returns {Promise<Object>} - A promise that resolves to `ok`, which is true if the URL is accessible,
+ * the `size` in bytes, the `contentType` and the `contentDisposition`; they are null when the server does not say.
  */
 let checkUrl = async (url) => {
+  // A server which never answers would hold up the download waiting for the check
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DEFAULT_RETRY_OPTIONS.timeout);
+
   try {
-    const response = await fetch(url, { method: "HEAD" });
-    return response.ok;
+    const response = await fetch(url, { method: "HEAD", signal: controller.signal });
+    const contentLength = response.headers.get("Content-Length");
+    return {
+      ok: response.ok,
+      size: response.ok && /^\d+$/.test(contentLength || "") ? Number(contentLength) : null,
+      contentType: response.headers.get("Content-Type"),
+      contentDisposition: response.headers.get("Content-Disposition"),
+    };
   } catch (error) {
     console.error("Error:", error);
-    return false;
+    return { ok: false, size: null, contentType: null, contentDisposition: null };
+  } finally {
+    clearTimeout(timer);
   }
 };
 
+// Longest name getTitle returns, in characters and in UTF-8 bytes. Android's ext4 allows 255 bytes
+// per name and letters of non-Latin scripts take two to four bytes each, so characters alone are not enough.
+const MAX_TITLE_LENGTH = 70;
+const MAX_TITLE_BYTES = 150;
+
 /**
  * This function receives a URL and formats it to comply with file system naming conventions.
- * It is utilized for naming HTML files, CSS files, and image files.
+ * It is utilized for naming HTML files. Letters and digits of every script are kept, so the
+ * names stay readable and distinct on non-Latin sites, and are valid on FAT32, exFAT, NTFS and ext4.
  * @param {string} url - The URL to be formatted.
  * @returns {string} - The formatted URL string.
  */
 function getTitle(url) {
   url = url.toString();
   url = url.substring(url.indexOf("://") + 3); // Removes protocol dynamically
-  // If the URL is longer than 70 characters, only the last 70 characters are used.
-  if (url.length >= 70) url = url.substring(url.length - 70);
-  // Replacing all non-alphanumeric characters with underscores to prevent file naming issues.
-  url = url.replace(/[^a-zA-Z0-9 ]/g, "_");
+  const address = url;
+
+  // Non-Latin addresses arrive percent-encoded, decoding them keeps their letters
+  try {
+    url = decodeURIComponent(url);
+  } catch (error) {
+    // Malformed escapes are kept as they are
+  }
+
+  // Replacing everything but letters, marks and digits of any script with underscores to prevent file naming issues.
+  // NFC joins accented letters into single characters, so the same name is not spelled in two ways.
+  url = url.normalize("NFC").replace(/[^\p{L}\p{M}\p{N} ]/gu, "_");
+
+  // If the name is too long, only its end is used, with a hash of the address so shortened names stay unique.
+  if (Array.from(url).length >= MAX_TITLE_LENGTH || getUtf8Length(url) > MAX_TITLE_BYTES) {
+    url = truncateFileName(url, MAX_TITLE_LENGTH - 9, MAX_TITLE_BYTES - 9, true) + "~" + getShortHash(address);
+  }
   return url;
 }
 
+/**
+ * Counts the bytes a text takes in UTF-8, which is how most file systems measure the length of names.
+ *
+ * @param {string} text - The text to measure.
+ * @returns {number} - The number of bytes.
+ */
+function getUtf8Length(text) {
+  return new TextEncoder().encode(text).length;
+}
 
 /**
- * Retrieves the binary content of a file from a URL. This function is used to fetch image files
- * from external URLs and convert them into a format suitable for adding to a zip archive.
+ * Shortens a name to a number of characters and UTF-8 bytes, without splitting a character.
  *
- * @param {string} url - The URL from which to fetch binary content.
- * @returns {Promise<Uint8Array|string>} - A promise that resolves with the binary content or rejects with an error message.
+ * @param {string} name - The name to shorten.
+ * @param {number} maxLength - The most characters to keep.
+ * @param {number} maxBytes - The most UTF-8 bytes to keep.
+ * @param {boolean} keepEnd - Whether to keep the end of the name instead of its start.
+ * @returns {string} - The shortened name.
  */
-function urlToPromise(url) {
-  return new Promise((resolve, reject) => {
-      JSZipUtils.getBinaryContent(url, (err, data) => {
-          if (err) {
-              console.error(`Failed to fetch content from URL: ${url} - Error: ${err.message}`);
-              reject(`Failed To Fetch Content from ${url}`);
-          } else {
-              resolve(data);
-          }
-      });
+function truncateFileName(name, maxLength, maxBytes, keepEnd = false) {
+  const chars = Array.from(name);
+  if (keepEnd) chars.reverse();
+
+  const kept = [];
+  let bytes = 0;
+  for (const char of chars) {
+    bytes += getUtf8Length(char);
+    if (kept.length >= maxLength || bytes > maxBytes) break;
+    kept.push(char);
+  }
+
+  if (keepEnd) kept.reverse();
+  return kept.join("");
+}
+
+/**
+ * Calculates a short, stable hash of a text, to tell apart names which were shortened or cleaned up.
+ * Uses 32 bit FNV-1a, which is fast and synchronous; it is not meant to be secure.
+ *
+ * @param {string} text - The text to hash.
+ * @returns {string} - Eight hexadecimal characters.
+ */
+function getShortHash(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Fetches a file together with the Content-Type and Content-Disposition the server sent for it, which
+ * tell the kind and name of the file when the URL does not.
+ *
+ * @param {string} url - The URL of the file.
+ * @param {boolean} asText - Whether to read the file as text instead of binary content.
+ * @param {Object} options - The same options as getData.
+ * @returns {Promise<Object>} - Resolves with the `content`, `contentType` and `contentDisposition` of the file,
+ * or rejects with an error message.
+ */
+function fetchFile(url, asText, options = {}) {
+  const readBody = async (response) => ({
+    content: asText ? await readText(response) : await response.arrayBuffer(),
+    contentType: response.headers.get("content-type") || "",
+    contentDisposition: response.headers.get("content-disposition") || "",
+  });
+
+  return fetchWithRetry(url, readBody, options).catch((err) => {
+    console.error(`Failed to fetch content from URL: ${url} - Error: ${err.message}`);
+    if (options.onFailure) options.onFailure(url, err.message);
+    return Promise.reject(`Failed To Fetch Content from ${url}`);
   });
 }
 
+/**
+ * Calculates the SHA-256 hash of a text, e.g. to recognize pages with the same content.
+ *
+ * @param {string} text - The text to hash.
+ * @returns {Promise<string>} - The hash as a hexadecimal string.
+ */
+async function hashText(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
 /**
  * This function combines a relative path with a base URL to get the absolute URL.
  * @param {string} relPath - The relative path.
@@ -0,0 +1,93 @@
+// Video players which are embedded with an iframe and only play online. Each provider tells how to find the
+// video's id in the address of the player, where to watch the video, and where to ask for its title and thumbnail.
+const VIDEO_EMBED_PROVIDERS = [
+  {
+    name: "YouTube",
+    hosts: ["youtube.com", "youtube-nocookie.com", "youtu.be"],
+    // "/embed/ID", "/watch?v=ID", "/shorts/ID" and short links like "youtu.be/ID"
+    getVideoId: (url) =>
+      url.hostname.endsWith("youtu.be")
+        ? url.pathname.split("/")[1]
+        : matchGroup(url.pathname, /^\/(?:embed|shorts|v)\/([^/]+)/) ||
+          (url.pathname === "/watch" ? url.searchParams.get("v") : null),
+    getWatchUrl: (id) => `https://www.youtube.com/watch?v=${id}`,
+    getThumbnailUrl: (id) => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+    oEmbedUrl: "https://www.youtube.com/oembed?format=json&url=",
+  },
+  {
+    name: "Vimeo",
+    hosts: ["vimeo.com"],
+    // "player.vimeo.com/video/ID" and "vimeo.com/ID"
+    getVideoId: (url) => matchGroup(url.pathname, /^\/(?:video\/)?(\d+)/),
+    getWatchUrl: (id) => `https://vimeo.com/${id}`,
+    getThumbnailUrl: null,
+    oEmbedUrl: "https://vimeo.com/api/oembed.json?url=",
+  },
+  {
+    name: "Dailymotion",
+    hosts: ["dailymotion.com", "dai.ly"],
+    // "/embed/video/ID", "/video/ID" and short links like "dai.ly/ID"
+    getVideoId: (url) =>
+      url.hostname.endsWith("dai.ly")
+        ? url.pathname.split("/")[1]
+        : matchGroup(url.pathname, /^\/(?:embed\/)?video\/([^/_]+)/),
+    getWatchUrl: (id) => `https://www.dailymotion.com/video/${id}`,
+    getThumbnailUrl: (id) => `https://www.dailymotion.com/thumbnail/video/${id}`,
+    oEmbedUrl: "https://www.dailymotion.com/services/oembed?url=",
+  },
+  {
+    name: "TED",
+    hosts: ["ted.com"],
+    // "embed.ted.com/talks/NAME", "embed.ted.com/talks/lang/fr/NAME" and "www.ted.com/talks/NAME"
+    getVideoId: (url) => matchGroup(url.pathname, /^\/talks\/(?:lang\/[\w-]+\/)?([^/.]+)/),
+    getWatchUrl: (id) => `https://www.ted.com/talks/${id}`,
+    getThumbnailUrl: null,
+    oEmbedUrl: "https://www.ted.com/services/v1/oembed.json?url=",
+  },
+];
+
+/**
+ * Recognizes the address of an embedded video player.
+ *
+ * @param {string} url - The absolute URL of the iframe.
+ * @returns {Object|null} - The `provider` name, the video's `id`, its `watchUrl`, the `thumbnailUrl` if the provider
+ * has a fixed one and the `oEmbedUrl` which tells the title and thumbnail, or null if the URL is no known player.
+ */
+function detectVideoEmbed(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const hostname = parsedUrl.hostname.toLowerCase();
+  const provider = VIDEO_EMBED_PROVIDERS.find((candidate) =>
+    candidate.hosts.some((host) => hostname === host || hostname.endsWith("." + host))
+  );
+  if (!provider) return null;
+
+  const id = provider.getVideoId(parsedUrl);
+  if (!id || !/^[\w-]+$/.test(id)) return null;
+
+  const watchUrl = provider.getWatchUrl(id);
+  return {
+    provider: provider.name,
+    id,
+    watchUrl,
+    thumbnailUrl: provider.getThumbnailUrl ? provider.getThumbnailUrl(id) : null,
+    oEmbedUrl: provider.oEmbedUrl + encodeURIComponent(watchUrl),
+  };
+}
+
+/**
+ * Returns the first group a regular expression captures in a text.
+ *
+ * @param {string} text - The text to search.
+ * @param {RegExp} regex - The expression with one capturing group.
+ * @returns {string|null} - The captured text, or null if the expression does not match.
+ */
+function matchGroup(text, regex) {
+  const match = text.match(regex);
+  return match ? match[1] : null;
+}